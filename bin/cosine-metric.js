@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/* eslint-env node */
+import { runSimulate, SIMULATE_USAGE } from '../src/cli/simulate.js';
+import { runNormalize, NORMALIZE_USAGE } from '../src/cli/normalize.js';
+
+// Command-line interface to the simulation and normalization library in src/lib
+
+const COMMANDS = {
+  simulate: runSimulate,
+  normalize: runNormalize
+};
+
+const USAGE = `Usage: cosine-metric <command> [options]
+
+Commands:
+  simulate    Simulate random-vector cosine distances and report statistics
+  normalize   Add normalized distances and null p-values to a file of raw scores
+
+Run "cosine-metric <command> --help" for the options of a command.
+
+${SIMULATE_USAGE}
+${NORMALIZE_USAGE}`;
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === '--help' || command === '-h') {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new Error(`Unknown command "${command}". Available: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  await COMMANDS[command](args);
+};
+
+main().catch((error) => {
+  process.stderr.write(`cosine-metric: ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,163 @@
+/* eslint-env node */
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { createDistanceScorer } from '../src/lib/scoring.js';
+import { distancePValue, distanceThreshold } from '../src/lib/thresholds.js';
+import { DEFAULT_NORMALIZATION, NORMALIZATION_STRATEGIES } from '../src/lib/normalization.js';
+import { MIN_DIMENSION, MAX_FAST_DIMENSION } from '../src/lib/simulation.js';
+
+// JSON scoring service over the same normalization and null-distribution math as the
+// visualization. Every endpoint accepts GET query parameters or a POST JSON body.
+
+const OPENAPI = readFileSync(new URL('./openapi.json', import.meta.url), 'utf8');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Error with the HTTP status (and extra response headers) to answer with
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// Scorers are cached per strategy, since each keeps its per-dimension normalizers
+const scorers = new Map();
+const getScorer = (strategy) => {
+  if (!scorers.has(strategy)) {
+    if (!Object.hasOwn(NORMALIZATION_STRATEGIES, strategy)) {
+      throw new HttpError(400, `Unknown normalization "${strategy}". Available: ${Object.keys(NORMALIZATION_STRATEGIES).join(', ')}`);
+    }
+    // The service has no calibration table, so 'calibrated' would silently fall back to
+    // exact-std scaling under another name
+    if (strategy === 'calibrated') {
+      throw new HttpError(400, 'Normalization "calibrated" needs a calibration table, which the service does not have');
+    }
+    try {
+      scorers.set(strategy, createDistanceScorer({ strategy }));
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+  return scorers.get(strategy);
+};
+
+const readNumber = (params, name) => {
+  const value = params[name];
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new HttpError(400, `"${name}" must be a number`);
+  return number;
+};
+
+const readDimension = (params) => {
+  const dim = readNumber(params, 'dimension');
+  if (dim === undefined) throw new HttpError(400, '"dimension" is required');
+  if (!Number.isInteger(dim) || dim < MIN_DIMENSION || dim > MAX_FAST_DIMENSION) {
+    throw new HttpError(400, `"dimension" must be a whole number between ${MIN_DIMENSION} and ${MAX_FAST_DIMENSION}`);
+  }
+  return dim;
+};
+
+// Raw cosine distance from either "distance" or "similarity"
+const readDistance = (params) => {
+  const distance = readNumber(params, 'distance');
+  const similarity = readNumber(params, 'similarity');
+  if ((distance === undefined) === (similarity === undefined)) {
+    throw new HttpError(400, 'Pass exactly one of "distance" or "similarity"');
+  }
+  const value = distance !== undefined ? distance : 1 - similarity;
+  if (value < 0 || value > 2) throw new HttpError(400, 'The cosine distance must be within [0, 2]');
+  return value;
+};
+
+const ROUTES = {
+  '/normalize': (params) => {
+    const dimension = readDimension(params);
+    const distance = readDistance(params);
+    const normalization = params.normalization || DEFAULT_NORMALIZATION;
+    const { normalizedDistance, percentile, pValue } = getScorer(normalization)(distance, dimension);
+    return { dimension, distance, normalization, normalizedDistance, percentile, pValue };
+  },
+  '/threshold': (params) => {
+    const dimension = readDimension(params);
+    const falsePositiveRate = readNumber(params, 'falsePositiveRate');
+    if (falsePositiveRate === undefined || falsePositiveRate <= 0 || falsePositiveRate >= 1) {
+      throw new HttpError(400, '"falsePositiveRate" must be a number strictly between 0 and 1');
+    }
+    const normalization = params.normalization || DEFAULT_NORMALIZATION;
+    const distance = distanceThreshold(falsePositiveRate, dimension);
+    const { normalizedDistance } = getScorer(normalization)(distance, dimension);
+    return { dimension, falsePositiveRate, distance, similarity: 1 - distance, normalization, normalizedDistance };
+  },
+  '/pvalue': (params) => {
+    const dimension = readDimension(params);
+    const distance = readDistance(params);
+    const pValue = distancePValue(distance, dimension);
+    return { dimension, distance, pValue, percentile: pValue * 100 };
+  }
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      // Discard the rest of the body instead of destroying the socket, so the 413 still
+      // reaches the client; the connection is closed once it is sent
+      request.removeAllListeners('data');
+      request.resume();
+      reject(new HttpError(413, `Request body exceeds ${MAX_BODY_SIZE} bytes`, { Connection: 'close' }));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+// Request parameters: the query string for GET, the JSON object body for POST
+const readParams = async (request, url) => {
+  if (request.method === 'GET') return Object.fromEntries(url.searchParams);
+  const body = await readBody(request);
+  let params;
+  try {
+    params = body ? JSON.parse(body) : {};
+  } catch {
+    throw new HttpError(400, 'The request body is not valid JSON');
+  }
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw new HttpError(400, 'The request body must be a JSON object');
+  }
+  return params;
+};
+
+const send = (response, status, body, headers = {}) => {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+// Request handler, usable with any node:http server
+export const handleRequest = async (request, response) => {
+  const url = new URL(request.url, 'http://localhost');
+  try {
+    if (url.pathname === '/openapi.json' && request.method === 'GET') {
+      send(response, 200, OPENAPI);
+      return;
+    }
+    const route = ROUTES[url.pathname];
+    if (!route) throw new HttpError(404, `No endpoint at ${url.pathname}`);
+    if (request.method !== 'GET' && request.method !== 'POST') {
+      throw new HttpError(405, `Method ${request.method} is not allowed`, { Allow: 'GET, POST' });
+    }
+    send(response, 200, route(await readParams(request, url)));
+  } catch (error) {
+    if (!error.status) console.error(error);
+    send(response, error.status || 500, { error: error.status ? error.message : 'Internal server error' }, error.headers);
+  }
+};
+
+export const createScoringServer = () => createServer(handleRequest);
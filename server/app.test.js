@@ -0,0 +1,111 @@
+/* eslint-env node */
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createScoringServer } from './app.js';
+import { distancePValue, distanceThreshold } from '../src/lib/thresholds.js';
+
+// Integration tests against a real server on a free localhost port
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createScoringServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const get = async (path, params = {}) => {
+  const response = await fetch(`${baseUrl}${path}?${new URLSearchParams(params)}`);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+describe.each([['GET', get], ['POST', post]])('scoring service over %s', (method, request) => {
+  it('normalizes a distance', async () => {
+    const { status, body } = await request('/normalize', { dimension: 768, distance: 1 + 1 / Math.sqrt(768) });
+    expect(status).toBe(200);
+    expect(body.normalization).toBe('sqrt-d');
+    expect(body.normalizedDistance).toBeCloseTo(2, 10);
+    expect(body.pValue).toBeCloseTo(distancePValue(1 + 1 / Math.sqrt(768), 768), 12);
+  });
+
+  it('accepts a similarity instead of a distance', async () => {
+    const { status, body } = await request('/normalize', { dimension: 384, similarity: 0.2, normalization: 'percentile' });
+    expect(status).toBe(200);
+    expect(body.distance).toBeCloseTo(0.8, 12);
+    expect(body.normalization).toBe('percentile');
+  });
+
+  it('returns the threshold for a false-positive rate', async () => {
+    const { status, body } = await request('/threshold', { dimension: 768, falsePositiveRate: 0.01 });
+    expect(status).toBe(200);
+    expect(body.distance).toBeCloseTo(distanceThreshold(0.01, 768), 12);
+    expect(body.similarity).toBeCloseTo(1 - body.distance, 12);
+  });
+
+  it('returns the p-value of a distance', async () => {
+    const { status, body } = await request('/pvalue', { dimension: 128, distance: 0.8 });
+    expect(status).toBe(200);
+    expect(body.pValue).toBeCloseTo(distancePValue(0.8, 128), 12);
+  });
+
+  it.each([
+    ['a missing dimension', '/normalize', { distance: 0.5 }],
+    ['a fractional dimension', '/normalize', { dimension: 7.5, distance: 0.5 }],
+    ['both distance and similarity', '/pvalue', { dimension: 16, distance: 0.5, similarity: 0.5 }],
+    ['a distance out of range', '/pvalue', { dimension: 16, distance: 3 }],
+    ['a false-positive rate of 1', '/threshold', { dimension: 16, falsePositiveRate: 1 }],
+    ['an unknown normalization', '/normalize', { dimension: 16, distance: 0.5, normalization: 'unknown' }],
+    ['an inherited property name', '/normalize', { dimension: 16, distance: 0.5, normalization: 'constructor' }],
+    ['the z-score normalization', '/normalize', { dimension: 16, distance: 0.5, normalization: 'z-score' }],
+    ['the calibrated normalization', '/threshold', { dimension: 16, falsePositiveRate: 0.1, normalization: 'calibrated' }]
+  ])('answers %s with a 400', async (_, path, params) => {
+    const { status, body } = await request(path, params);
+    expect(status).toBe(400);
+    expect(typeof body.error).toBe('string');
+  });
+});
+
+describe('scoring service', () => {
+  it('serves its OpenAPI description', async () => {
+    const response = await fetch(`${baseUrl}/openapi.json`);
+    expect(response.status).toBe(200);
+    const spec = await response.json();
+    expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining(['/normalize', '/threshold', '/pvalue']));
+  });
+
+  it('answers unknown paths with a 404', async () => {
+    const { status } = await get('/unknown');
+    expect(status).toBe(404);
+  });
+
+  it('answers other methods with a 405', async () => {
+    const response = await fetch(`${baseUrl}/normalize`, { method: 'DELETE' });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET, POST');
+  });
+
+  it('rejects POST bodies that are not JSON objects', async () => {
+    expect((await post('/pvalue', '{')).status).toBe(400);
+    expect((await post('/pvalue', '[1, 2]')).status).toBe(400);
+  });
+
+  it('answers oversized bodies with a 413', async () => {
+    const { status, headers, body } = await post('/normalize', ' '.repeat(2 * 1024 * 1024));
+    expect(status).toBe(413);
+    expect(headers.get('connection')).toBe('close');
+    expect(body.error).toMatch(/exceeds/);
+  });
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/* eslint-env node */
+import { createScoringServer } from './app.js';
+
+// Start the scoring service: PORT and HOST environment variables, localhost:8787 by default
+const port = Number(process.env.PORT || 8787);
+const host = process.env.HOST || '127.0.0.1';
+
+const server = createScoringServer();
+server.listen(port, host, () => {
+  console.log(`Cosine scoring service listening on http://${host}:${port} (OpenAPI at /openapi.json)`);
+});
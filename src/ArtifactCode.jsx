@@ -1,242 +1,615 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, ReferenceLine } from 'recharts';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, ReferenceLine, ReferenceArea } from 'recharts';
+import { DEFAULT_DIMENSIONS, DEFAULT_PRECISION, MIN_DIMENSION, MAX_FAST_DIMENSION, PILOT_SIZE, getMaxDimension } from '@/lib/simulation';
+import {
+  NORMALIZATION_STRATEGIES,
+  DEFAULT_NORMALIZATION,
+  DEFAULT_QUALITY_TARGET,
+  getNormalizationStrategy,
+  getScalingFactor,
+  assessNormalization,
+  fitScalingFactors
+} from '@/lib/normalization';
+import { GENERATORS, DEFAULT_GENERATOR, getGenerator, resolveGeneratorOptions, effectiveDimension } from '@/lib/generators';
+import { cosineDistanceCdf } from '@/lib/distribution';
+import { distanceThreshold, distancePValue, translateThreshold, translateNormalizedThreshold } from '@/lib/thresholds';
+import { histogramDensity, sketchQuantile } from '@/lib/stats';
+import { DEFAULT_SEED, parseSeed, randomSeed } from '@/lib/random';
+import { createCalibratedNormalizer } from '@/lib/scoring';
+import { EMBEDDING_FILE_TYPES } from '@/lib/importers';
+import { EMBEDDING_TRANSFORMS, resolveTransformSteps } from '@/lib/transforms';
+import { DEFAULT_BENCHMARK_LIMITS } from '@/lib/annBenchmark';
+import { parseScoreList, analyzeScores } from '@/lib/scores';
+import DistributionChart from '@/components/DistributionChart';
+import embeddingPresets from '@/data/embeddingPresets.json';
+
+// Line colors for normalization strategies
+const STRATEGY_COLORS = ['#4F46E5', '#EC4899', '#10B981', '#F97316', '#06B6D4', '#A855F7', '#EF4444'];
+
+// Line colors for imported embedding sets
+const IMPORT_COLORS = ['#111827', '#B45309', '#047857', '#7C3AED', '#BE123C'];
+
+// Line colors for the stages of an embedding transform pipeline, after the untransformed set
+const TRANSFORM_STAGE_COLORS = ['#F59E0B', '#10B981', '#3B82F6', '#8B5CF6'];
+
+// Queries listed individually in the score analysis table
+const MAX_DISPLAYED_QUERIES = 100;
+
+// Save text as a file download
+const downloadText = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Density of a streamed histogram, alongside the exact density averaged over the same bins
+// (from the null CDF on the histogram's scale) so both curves are directly comparable
+const withExactDensity = (histogram, nullCdf) => {
+  const binSize = (histogram.max - histogram.min) / histogram.binCount;
+  return histogramDensity(histogram).map(point => ({
+    ...point,
+    exact: (nullCdf(point.x + binSize / 2) - nullCdf(point.x - binSize / 2)) / binSize
+  }));
+};
+
+// What a transform stage fitted, for the before/after table
+const describeTransformStage = (stage) => {
+  if (!stage.summary) return '—';
+  if (stage.summary.meanShare !== undefined) {
+    return `mean vector ${(stage.summary.meanShare * 100).toFixed(1)}% of the average length`;
+  }
+  const fitted = `${stage.components} directions, ${(stage.summary.explainedVariance * 100).toFixed(1)}% of the variance`;
+  return stage.summary.dimension !== undefined ? `${fitted}; whitened to ${stage.summary.dimension} dimensions` : fitted;
+};
+
+const DEFAULT_SETTINGS = {
+  sampleSize: 'auto',
+  seed: DEFAULT_SEED,
+  mode: 'vector',
+  generator: DEFAULT_GENERATOR,
+  generatorOptions: {},
+  precision: { relativeError: DEFAULT_PRECISION.relativeError, confidence: DEFAULT_PRECISION.confidence }
+};
 
 const CosineDistributionVisualization = () => {
   const [activeTab, setActiveTab] = useState('basics');
   const [data, setData] = useState(null);
   const [selectedDimensions, setSelectedDimensions] = useState([2, 32, 128, 512]);
-  const [isLoading, setIsLoading] = useState(true);
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [progressMessage, setProgressMessage] = useState("Initializing...");
   const [highlightedFormula, setHighlightedFormula] = useState(null);
+  const [normalizationStrategy, setNormalizationStrategy] = useState(DEFAULT_NORMALIZATION);
+  const [qualityTarget, setQualityTarget] = useState(DEFAULT_QUALITY_TARGET);
+  const [calibrationSource, setCalibrationSource] = useState('simulation');
+  const [calibration, setCalibration] = useState(null);
+  const [falseMatchRateInput, setFalseMatchRateInput] = useState('1e-3');
+  const [thresholdSource, setThresholdSource] = useState('exact');
+  const [thresholdCopied, setThresholdCopied] = useState(false);
+  const [significanceInput, setSignificanceInput] = useState({ similarity: '0.32', dimension: '1536' });
+  const [scoreText, setScoreText] = useState('');
+  const [scoreOptions, setScoreOptions] = useState({ dimension: '768', kind: 'similarity', noiseRate: '1e-3', strategy: DEFAULT_NORMALIZATION });
+  const [scoreAnalysis, setScoreAnalysis] = useState(null);
+  const [scoreError, setScoreError] = useState(null);
+  const [translator, setTranslator] = useState({ value: '0.1', kind: 'similarity', fromDim: '768', toDim: '3072', method: 'percentile' });
   
-  // Box-Muller transform for normal distribution sampling
-  const normalRandom = () => {
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  };
-  
-  // Generate a random unit vector in given dimension
-  const generateRandomUnitVector = (dimension) => {
-    const vector = [];
-    let sumSquared = 0;
-    
-    // Generate random components from normal distribution
-    for (let i = 0; i < dimension; i++) {
-      const val = normalRandom();
-      vector.push(val);
-      sumSquared += val * val;
-    }
-    
-    // Normalize to unit length
-    const magnitude = Math.sqrt(sumSquared);
-    for (let i = 0; i < dimension; i++) {
-      vector[i] /= magnitude;
-    }
-    
-    return vector;
-  };
-  
-  // Calculate cosine distance between two vectors
-  const calculateCosineDistance = (vec1, vec2) => {
-    let dotProduct = 0;
-    
-    // Calculate dot product
-    for (let i = 0; i < vec1.length; i++) {
-      dotProduct += vec1[i] * vec2[i];
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [seedInput, setSeedInput] = useState(String(DEFAULT_SEED));
+  const [isRunning, setIsRunning] = useState(false);
+  const [partialStats, setPartialStats] = useState(null);
+  const [dimensionInput, setDimensionInput] = useState('');
+  const [dimensionError, setDimensionError] = useState(null);
+  const [dimensionLabels, setDimensionLabels] = useState({});
+  const [importedSets, setImportedSets] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [transformDrafts, setTransformDrafts] = useState({});
+  const [benchmarkFiles, setBenchmarkFiles] = useState({ base: null, queries: null, groundTruth: null });
+  const [benchmark, setBenchmark] = useState(null);
+  const workerRef = useRef(null);
+  const pendingJobsRef = useRef(0);
+  const pendingDimensionsRef = useRef(new Set());
+  const embeddingsWorkerRef = useRef(null);
+  const nextImportIdRef = useRef(1);
+
+  // Sample size options for the simulation settings panel
+  const sampleSizeOptions = [
+    { value: 'auto', label: 'Auto (10k-50k by dimension)' },
+    { value: 'adaptive', label: 'Adaptive (target precision)' },
+    { value: 1000, label: '1,000 per dimension' },
+    { value: 10000, label: '10,000 per dimension' },
+    { value: 50000, label: '50,000 per dimension' },
+    { value: 100000, label: '100,000 per dimension' },
+    { value: 1000000, label: '1,000,000 per dimension (fast mode)', fastOnly: true },
+    { value: 10000000, label: '10,000,000 per dimension (fast mode)', fastOnly: true }
+  ];
+
+  // Stop the running simulation, keeping any dimensions that already finished
+  const cancelSimulation = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
     }
-    
-    // Cosine distance = 1 - cosine similarity
-    // Since these are unit vectors, the cosine similarity is just the dot product
-    return 1.0 - dotProduct;
-  };
+    pendingJobsRef.current = 0;
+    pendingDimensionsRef.current.clear();
+    setIsRunning(false);
+    setPartialStats(null);
+  }, []);
 
-  // Generate synthetic data on component mount
-  useEffect(() => {
-    const generateSyntheticData = async () => {
-      try {
-        // Dimensions to analyze (powers of 2 for better distribution)
-        const dimensions = [2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048];
-        
-        // Increase sample size for higher dimensions
-        const getAdjustedSampleSize = (dim) => {
-          if (dim <= 32) return 10000;
-          if (dim <= 256) return 20000;
-          return 50000;
-        };
-        
-        const statistics = [];
-        const distributionSamples = {};
+  // Create the simulation worker and route its messages into component state
+  const createWorker = useCallback(() => {
+    const worker = new Worker(new URL('./workers/simulation.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'progress') {
+        const { dimension, dimIndex, dimCount, expected, completed } = message;
+        setProgressMessage(`Generating ${expected} samples for dimension ${dimension}...`);
+        setLoadingProgress(((dimIndex + completed / expected) / dimCount) * 100);
+        setPartialStats(message);
         
-        // Process each dimension
-        for (let dimIndex = 0; dimIndex < dimensions.length; dimIndex++) {
-          const dim = dimensions[dimIndex];
-          const sampleSize = getAdjustedSampleSize(dim);
-          
-          setProgressMessage(`Generating ${sampleSize} samples for dimension ${dim}...`);
-          setLoadingProgress((dimIndex / dimensions.length) * 100);
-          
-          // Allow UI to update
-          await new Promise(resolve => setTimeout(resolve, 0));
-          
-          const samples = [];
-          let sumDistances = 0;
-          let sumSquaredDistances = 0;
-          
-          // Generate samples in batches to prevent UI blocking
-          const batchSize = 100;
-          const batches = Math.ceil(sampleSize / batchSize);
-          
-          for (let batch = 0; batch < batches; batch++) {
-            const currentBatchSize = Math.min(batchSize, sampleSize - batch * batchSize);
-            
-            for (let i = 0; i < currentBatchSize; i++) {
-              // Generate two random unit vectors
-              const vector1 = generateRandomUnitVector(dim);
-              const vector2 = generateRandomUnitVector(dim);
-              
-              // Calculate cosine distance
-              const originalDistance = calculateCosineDistance(vector1, vector2);
-              
-              // Ensure distance is within valid range (numerical precision issues)
-              const clampedDistance = Math.max(0, Math.min(2, originalDistance));
-              
-              // Calculate normalized distance with dimension scaling
-              const scalingFactor = dim <= 3 ? Math.sqrt(dim) * 1.5 : Math.sqrt(dim);
-              const normalizedDistance = (clampedDistance - 1.0) * scalingFactor + 1.0;
-              
-              // Store sample
-              samples.push({
-                originalDistance: clampedDistance,
-                normalizedDistance
-              });
-              
-              // Update statistics
-              sumDistances += clampedDistance;
-              sumSquaredDistances += clampedDistance * clampedDistance;
-            }
-            
-            // Allow UI to update periodically
-            if (batch % 10 === 0) {
-              await new Promise(resolve => setTimeout(resolve, 0));
-            }
-          }
-          
-          // Calculate statistics
-          const originalMean = sumDistances / sampleSize;
-          const variance = (sumSquaredDistances / sampleSize) - (originalMean * originalMean);
-          const originalStd = Math.sqrt(variance);
-          const theoreticalStd = 1.0 / Math.sqrt(dim);
-          
-          // Calculate normalized statistics 
-          const normalizedValues = samples.map(s => s.normalizedDistance);
-          const normalizedSum = normalizedValues.reduce((sum, val) => sum + val, 0);
-          const normalizedMean = normalizedSum / normalizedValues.length;
-          
-          const normalizedSumSquared = normalizedValues.reduce((sum, val) => {
-            return sum + Math.pow(val - normalizedMean, 2);
-          }, 0);
-          const normalizedStd = Math.sqrt(normalizedSumSquared / normalizedValues.length);
-          
-          // Store statistics
-          statistics.push({
-            dimension: dim,
-            originalMean,
-            originalStd,
-            normalizedMean,
-            normalizedStd,
-            theoreticalStd,
-            ratio: originalStd / theoreticalStd
+        // Live-update the histograms of the dimension being sampled
+        setData(prev => {
+          if (!prev.dimensions.includes(dimension)) return prev;
+          const normalized = {};
+          Object.entries(message.histograms.normalized).forEach(([id, histogram]) => {
+            normalized[id] = { histogram };
           });
-          
-          // Store distribution samples
-          distributionSamples[dim] = samples;
+          return {
+            ...prev,
+            distributions: {
+              ...prev.distributions,
+              [dimension]: { original: { histogram: message.histograms.original }, normalized, partial: true }
+            }
+          };
+        });
+      } else if (message.type === 'dimension') {
+        // Store statistics and streaming distributions as each dimension finishes,
+        // unless the dimension was removed while it was being simulated
+        pendingDimensionsRef.current.delete(message.dimension);
+        setData(prev => {
+          if (!prev.dimensions.includes(message.dimension)) return prev;
+          const statistics = prev.statistics.filter(stat => stat.dimension !== message.dimension);
+          return {
+            ...prev,
+            statistics: [...statistics, message.statistics].sort((a, b) => a.dimension - b.dimension),
+            distributions: { ...prev.distributions, [message.dimension]: message.distributions }
+          };
+        });
+      } else if (message.type === 'done') {
+        pendingJobsRef.current -= 1;
+        if (pendingJobsRef.current <= 0) {
+          setProgressMessage("Finalizing visualizations...");
+          setLoadingProgress(100);
+          setIsRunning(false);
+          setPartialStats(null);
         }
+      } else if (message.type === 'error') {
+        console.error("Error generating synthetic data:", message.message);
+        setProgressMessage(`Error: ${message.message}`);
+        cancelSimulation();
+      }
+    };
+
+    worker.onerror = (error) => {
+      console.error("Error generating synthetic data:", error);
+      setProgressMessage(`Error: ${error.message}`);
+      cancelSimulation();
+    };
+
+    return worker;
+  }, [cancelSimulation]);
+
+  // Simulate dimensions in a Web Worker so the UI stays responsive.
+  // The worker handles one job at a time, so jobs posted while busy simply wait.
+  const simulateDimensions = useCallback((dimensions, runSettings) => {
+    if (!workerRef.current) workerRef.current = createWorker();
+    pendingJobsRef.current += 1;
+    dimensions.forEach(dim => pendingDimensionsRef.current.add(dim));
+    setIsRunning(true);
+    workerRef.current.postMessage({ type: 'run', dimensions, settings: runSettings });
+  }, [createWorker]);
+
+  // Discard the current results and simulate the whole dimension list from scratch
+  const runSimulation = useCallback((runSettings, dimensions) => {
+    cancelSimulation();
+    setData({ dimensions, statistics: [], distributions: {}, settings: runSettings });
+    setLoadingProgress(0);
+    setProgressMessage("Initializing...");
+    simulateDimensions(dimensions, runSettings);
+  }, [cancelSimulation, simulateDimensions]);
+
+  // Run the simulation once on mount with the default settings
+  useEffect(() => {
+    runSimulation(DEFAULT_SETTINGS, DEFAULT_DIMENSIONS);
+    return () => {
+      if (workerRef.current) workerRef.current.terminate();
+      workerRef.current = null;
+      if (embeddingsWorkerRef.current) embeddingsWorkerRef.current.terminate();
+      embeddingsWorkerRef.current = null;
+    };
+  }, [runSimulation]);
+
+  // Worker that parses imported embedding files and samples pairs from them, created on first use
+  const getEmbeddingsWorker = () => {
+    if (embeddingsWorkerRef.current) return embeddingsWorkerRef.current;
+    const worker = new Worker(new URL('./workers/embeddings.worker.js', import.meta.url), { type: 'module' });
+    
+    // Update the imported set a message is about, unless it was removed meanwhile
+    worker.onmessage = (event) => {
+      const message = event.data;
+      const update = (changes) => {
+        setImportedSets(prev => prev.map(set => (set.id === message.id ? { ...set, ...changes } : set)));
+      };
+      if (message.type === 'reading') {
+        update({ progress: message.fraction });
+      } else if (message.type === 'loaded') {
+        const { name, rows, dimension, detail, errors, errorCount } = message;
+        update({ name, rows, dimension, detail, errors, errorCount, status: 'sampling', progress: 0 });
+      } else if (message.type === 'progress') {
+        const { completed, expected, stage, stageCount, fitting } = message;
+        update({ progress: completed / expected, stage, stageCount, fitting });
+      } else if (message.type === 'result') {
+        const { statistics, distributions, transformed } = message;
+        const nullCdf = (x) => cosineDistanceCdf(Math.max(0, Math.min(2, x)), statistics.dimension);
         
-        setProgressMessage("Finalizing visualizations...");
+        // Charts follow the transformed set when a transform pipeline is applied
+        const current = transformed ? transformed.stages[transformed.stages.length - 1].distributions : distributions;
+        const labelSplit = transformed ? transformed.labelSplit : message.labelSplit;
+        let labelChart = null;
+        if (labelSplit) {
+          labelChart = {
+            all: withExactDensity(current.original.histogram, nullCdf),
+            same: histogramDensity(labelSplit.same.distributions.original.histogram),
+            different: histogramDensity(labelSplit.different.distributions.original.histogram)
+          };
+        }
         
-        // Set final data
-        setData({
-          dimensions,
-          statistics,
-          distributionSamples
+        // Before/after densities of every stage, raw and with the default √d normalization
+        let transformChart = null;
+        if (transformed) {
+          const normalizedNullCdf = getNormalizationStrategy(DEFAULT_NORMALIZATION).createNormalizer(statistics.dimension).nullCdf;
+          const stages = [distributions, ...transformed.stages.map(stage => stage.distributions)];
+          transformChart = {
+            original: stages.map(stage => withExactDensity(stage.original.histogram, nullCdf)),
+            normalized: stages.map(stage => withExactDensity(stage.normalized[DEFAULT_NORMALIZATION].histogram, normalizedNullCdf))
+          };
+        }
+        update({ status: 'done', statistics, distributions, current, labelSplit, labelChart, transformed, transformChart });
+      } else if (message.type === 'error') {
+        update({ status: 'error', error: message.message });
+      } else if (message.type === 'benchmark-progress') {
+        setBenchmark({ status: 'running', phase: message.phase, fraction: message.fraction });
+      } else if (message.type === 'benchmark-result') {
+        const nullCdf = (x) => cosineDistanceCdf(Math.max(0, Math.min(2, x)), message.dimension);
+        setBenchmark({
+          status: 'done',
+          result: message,
+          charts: {
+            random: withExactDensity(message.random.distributions.original.histogram, nullCdf),
+            groundTruth: message.groundTruth && histogramDensity(message.groundTruth.distributions.original.histogram)
+          }
         });
-        
-        setIsLoading(false);
-      } catch (error) {
-        console.error("Error generating synthetic data:", error);
-        setProgressMessage(`Error: ${error.message}`);
-        setIsLoading(false);
+      } else if (message.type === 'benchmark-error') {
+        setBenchmark({ status: 'error', error: message.message });
       }
     };
+    embeddingsWorkerRef.current = worker;
+    return worker;
+  };
+
+  // Import embedding files and sample them with the settings of the current results
+  const importFiles = (files) => {
+    Array.from(files).forEach(file => {
+      const id = nextImportIdRef.current++;
+      setImportedSets(prev => [...prev, { id, name: file.name, status: 'loading' }]);
+      getEmbeddingsWorker().postMessage({ type: 'import', id, file, settings: data.settings });
+    });
+  };
+
+  // Stream the chosen benchmark files and compare their distances with random vectors
+  const runBenchmark = () => {
+    setBenchmark({ status: 'running', phase: 'files', fraction: 0 });
+    getEmbeddingsWorker().postMessage({ type: 'benchmark', files: benchmarkFiles, settings: data.settings });
+  };
+
+  // Transform pipeline being edited for an imported set; the applied one until it is edited.
+  // Component counts are kept as typed and checked when the pipeline is applied.
+  const getTransformDraft = (set) => transformDrafts[set.id] || { steps: set.transforms || [], error: null };
+  
+  const updateTransformDraft = (set, steps) => {
+    setTransformDrafts(prev => ({ ...prev, [set.id]: { steps, error: null } }));
+  };
+  
+  // Switch a transform on or off, keeping the pipeline in the order transforms are listed
+  const toggleTransform = (set, transformId) => {
+    const { steps } = getTransformDraft(set);
+    if (steps.some(step => step.id === transformId)) {
+      updateTransformDraft(set, steps.filter(step => step.id !== transformId));
+      return;
+    }
+    updateTransformDraft(set, Object.keys(EMBEDDING_TRANSFORMS)
+      .filter(id => id === transformId || steps.some(step => step.id === id))
+      .map(id => steps.find(step => step.id === id) || { id }));
+  };
+  
+  const setTransformComponents = (set, transformId, components) => {
+    const { steps } = getTransformDraft(set);
+    updateTransformDraft(set, steps.map(step => (step.id === transformId ? { ...step, components } : step)));
+  };
+  
+  // Validate the edited pipeline and re-sample the set through it (before and after each step)
+  const applyTransforms = (set) => {
+    const draft = getTransformDraft(set);
+    let steps;
+    try {
+      steps = resolveTransformSteps(draft.steps.map(step => ({
+        id: step.id,
+        components: step.components === undefined || step.components === '' ? undefined : Number(step.components)
+      })), set.dimension);
+    } catch (error) {
+      setTransformDrafts(prev => ({ ...prev, [set.id]: { ...draft, error: error.message } }));
+      return;
+    }
+    setTransformDrafts(prev => {
+      const next = { ...prev };
+      delete next[set.id];
+      return next;
+    });
+    setImportedSets(prev => prev.map(s => (s.id === set.id ? { ...s, transforms: steps, status: 'sampling', progress: 0, stage: null } : s)));
+    embeddingsWorkerRef.current.postMessage({ type: 'sample', id: set.id, settings: data.settings, transforms: steps });
+  };
+  
+  // Drop an imported set and its matrix
+  const removeImportedSet = (id) => {
+    setImportedSets(prev => prev.filter(set => set.id !== id));
+    if (embeddingsWorkerRef.current) embeddingsWorkerRef.current.postMessage({ type: 'remove', id });
+  };
+  
+  // Add a dimension to the list and simulate only that dimension, with the settings
+  // of the current results so it stays comparable to them. Returns false when invalid.
+  const addDimension = (value, label) => {
+    const dim = Number(value);
+    const maxDimension = getMaxDimension(data.settings.mode);
+    if (!Number.isInteger(dim) || dim < MIN_DIMENSION || dim > maxDimension) {
+      setDimensionError(`Enter a whole number between ${MIN_DIMENSION} and ${maxDimension} (${data.settings.mode} mode)`);
+      return false;
+    }
+    setDimensionError(null);
+    if (label) setDimensionLabels(prev => ({ ...prev, [dim]: label }));
+    if (data.dimensions.includes(dim)) return true;
+
+    // A dimension removed while still queued or running gets its results from that job
+    setData(prev => ({ ...prev, dimensions: [...prev.dimensions, dim].sort((a, b) => a - b) }));
+    if (!pendingDimensionsRef.current.has(dim)) simulateDimensions([dim], data.settings);
+    return true;
+  };
+
+  // Add the dimension from the text input
+  const addDimensionFromInput = () => {
+    if (addDimension(dimensionInput)) setDimensionInput('');
+  };
+
+  // Add a dimension from the embedding preset catalog, labelled with its model family
+  const addPreset = (index) => {
+    const preset = embeddingPresets[index];
+    if (preset) addDimension(preset.dimension, preset.label);
+  };
+
+  // Remove a dimension and its results
+  const removeDimension = (dim) => {
+    setData(prev => {
+      const distributions = { ...prev.distributions };
+      delete distributions[dim];
+      return {
+        ...prev,
+        dimensions: prev.dimensions.filter(d => d !== dim),
+        statistics: prev.statistics.filter(stat => stat.dimension !== dim),
+        distributions
+      };
+    });
+    setSelectedDimensions(selectedDimensions.filter(d => d !== dim));
+  };
+
+  // Re-run every dimension with the edited settings, unless some dimension is too large
+  // for the chosen sampling mode
+  const rerunSimulation = () => {
+    const maxDimension = getMaxDimension(settings.mode);
+    const tooLarge = data.dimensions.filter(dim => dim > maxDimension);
+    if (tooLarge.length > 0) {
+      setDimensionError(`Dimensions above ${maxDimension} need fast mode; remove ${tooLarge.join(', ')} or switch modes`);
+      return;
+    }
+    setDimensionError(null);
+    runSimulation(settings, data.dimensions);
     
-    generateSyntheticData();
-  }, []);
+    // Re-sample imported embeddings so they stay comparable with the new results
+    importedSets.filter(set => set.status === 'done').forEach(set => {
+      embeddingsWorkerRef.current.postMessage({ type: 'sample', id: set.id, settings, transforms: set.transforms || [] });
+    });
+    setImportedSets(prev => prev.map(set => (set.status === 'done' ? { ...set, status: 'sampling', progress: 0, stage: null } : set)));
+  };
+
+  // Switch sampling mode, dropping sample sizes that only fast mode can afford
+  const updateMode = (mode, changes = {}) => {
+    const option = sampleSizeOptions.find(o => o.value === settings.sampleSize);
+    const sampleSize = mode !== 'fast' && option && option.fastOnly ? 'auto' : settings.sampleSize;
+    setSettings({ ...settings, ...changes, mode, sampleSize });
+  };
   
-  // Generate histogram data for visualization
-  const generateHistogramData = (dimensionKey, normalized = false) => {
+  // Switch generator with its default parameters, leaving fast mode if it needs real vectors
+  const updateGenerator = (generatorId) => {
+    const mode = getGenerator(generatorId).supportsFastMode ? settings.mode : 'vector';
+    updateMode(mode, { generator: generatorId, generatorOptions: {} });
+  };
+
+  // Update the seed from the text input, ignoring values that are not valid seeds
+  const updateSeed = (value) => {
+    setSeedInput(value);
+    const seed = parseSeed(value);
+    if (seed !== null) setSettings({ ...settings, seed });
+  };
+
+  // Download the current results together with the settings needed to reproduce them
+  const exportResults = () => {
+    const payload = JSON.stringify({
+      seed: data.settings.seed,
+      settings: data.settings,
+      labels: dimensionLabels,
+      statistics: data.statistics
+    }, null, 2);
+    downloadText(`cosine-simulation-seed-${data.settings.seed}.json`, payload, 'application/json');
+  };
+
+  // Copy the threshold table as tab-separated text, ready to paste into a spreadsheet
+  const copyThresholdTable = () => {
+    const lines = [
+      ['dimension', 'false_match_rate', 'max_distance', 'min_similarity'].join('\t'),
+      ...thresholdRows.map(row => [row.dimension, falseMatchRate, row.distance, row.similarity].join('\t'))
+    ];
+    navigator.clipboard.writeText(lines.join('\n') + '\n').then(() => {
+      setThresholdCopied(true);
+      setTimeout(() => setThresholdCopied(false), 2000);
+    });
+  };
+
+  // Load a score file into the text area
+  const loadScoreFile = (file) => {
+    if (file) file.text().then(setScoreText);
+  };
+
+  // Compare the pasted scores with the random-vector null of their dimension
+  const analyzeScoreList = () => {
+    const dimension = Number(scoreOptions.dimension);
+    const noiseRate = Number(scoreOptions.noiseRate);
+    if (!Number.isInteger(dimension) || dimension < MIN_DIMENSION || dimension > MAX_FAST_DIMENSION) {
+      setScoreError(`Enter a whole-number dimension between ${MIN_DIMENSION} and ${MAX_FAST_DIMENSION}`);
+      return;
+    }
+    if (!(noiseRate > 0 && noiseRate < 1)) {
+      setScoreError('Enter a noise rate between 0 and 1, e.g. 1e-3');
+      return;
+    }
+    const { groups, errors } = parseScoreList(scoreText);
+    if (groups.length === 0) {
+      setScoreError('No scores found');
+      return;
+    }
+    setScoreError(null);
+
+    const calibration = data.settings.calibration || null;
+    const analysis = analyzeScores(groups, dimension, { kind: scoreOptions.kind, strategy: scoreOptions.strategy, calibration, noiseRate });
+    const normalizer = createCalibratedNormalizer(scoreOptions.strategy, dimension, calibration);
+    setScoreAnalysis({
+      ...analysis,
+      errors: [...errors, ...analysis.errors],
+      dimension,
+      noiseRate,
+      normalizedNoiseBand: {
+        lower: normalizer.normalize(analysis.noiseBand.lower),
+        upper: normalizer.normalize(analysis.noiseBand.upper)
+      },
+      charts: {
+        original: withExactDensity(analysis.histograms.original, (x) => cosineDistanceCdf(Math.max(0, Math.min(2, x)), dimension)),
+        normalized: withExactDensity(analysis.histograms.normalized, normalizer.nullCdf)
+      }
+    });
+  };
+
+  // Fit per-dimension scaling factors for the current target std
+  const calibrateScalingFactors = () => {
+    setCalibration(fitScalingFactors(data.statistics, { targetStd: qualityTarget.targetStd, source: calibrationSource }));
+  };
+
+  // Re-run the simulation with the fitted factors and show the calibrated strategy
+  const applyCalibration = () => {
+    const calibratedSettings = { ...settings, calibration };
+    setSettings(calibratedSettings);
+    setNormalizationStrategy('calibrated');
+    runSimulation(calibratedSettings, data.dimensions);
+  };
+
+  // Download the fitted table, in the format accepted as `settings.calibration`
+  const exportCalibration = () => {
+    downloadText(`cosine-calibration-${calibration.source}.json`, JSON.stringify(calibration, null, 2), 'application/json');
+  };
+
+  // Generate histogram data for visualization from the streamed histograms: raw distances,
+  // or the distances normalized with the given strategy
+  const generateHistogramData = (strategyId = null) => {
     if (!data) return {};
     
     const histograms = {};
     
     selectedDimensions.forEach(dim => {
-      const samples = data.distributionSamples[dim];
-      const values = samples.map(s => normalized ? s.normalizedDistance : s.originalDistance);
+      const distribution = data.distributions[dim];
+      if (!distribution) return;
+      const histogram = strategyId ? distribution.normalized[strategyId].histogram : distribution.original.histogram;
       
-      // Define bin range based on normalization
-      const min = normalized ? -2 : 0;
-      const max = normalized ? 4 : 2;
-      const binCount = 40;
-      const binSize = (max - min) / binCount;
-      
-      // Initialize bins
-      const bins = Array(binCount).fill(0);
-      
-      // Count values in each bin
-      values.forEach(val => {
-        const binIndex = Math.floor((val - min) / binSize);
-        if (binIndex >= 0 && binIndex < binCount) {
-          bins[binIndex]++;
-        }
-      });
+      // Exact null CDF on the chart's scale; normalized values go through the strategy,
+      // using the empirical context of finished dimensions
+      const stat = data.statistics.find(s => s.dimension === dim);
+      const nullCdf = strategyId
+        ? getNormalizationStrategy(strategyId).createNormalizer(dim, stat && stat.normalizationContext).nullCdf
+        : (x) => cosineDistanceCdf(Math.max(0, Math.min(2, x)), dim);
       
-      // Convert to chart format and normalize to density
-      histograms[dim] = bins.map((count, i) => ({
-        x: min + (i + 0.5) * binSize,
-        count: count / samples.length / binSize  // Normalize to density
-      }));
+      histograms[dim] = withExactDensity(histogram, nullCdf);
     });
     
     return histograms;
   };
   
-  // Custom color scheme for dimensions
+  // Color for a dimension, derived from log2(dimension) with golden-angle hue steps so
+  // any user-defined dimension gets a stable, distinguishable color
   const getDimensionColor = (dimension) => {
-    const colorMap = {
-      2: '#4F46E5',      // Indigo
-      4: '#7C3AED',      // Violet
-      8: '#EC4899',      // Pink
-      16: '#06B6D4',     // Cyan
-      32: '#10B981',     // Emerald
-      64: '#84CC16',     // Lime
-      128: '#FBBF24',    // Amber
-      256: '#F97316',    // Orange
-      512: '#EF4444',    // Red
-      1024: '#6366F1',   // Indigo
-      2048: '#A855F7'    // Purple
-    };
-    return colorMap[dimension] || '#6B7280'; // Gray fallback
+    const hue = (Math.log2(dimension) * 137.508 + 240) % 360;
+    return `hsl(${hue.toFixed(1)}, 70%, 50%)`;
   };
 
   // Format dimension for display
   const formatDimension = (dim) => {
-    return dim >= 1000 ? `${dim / 1000}k` : dim;
+    return dim >= 10000 ? `${+(dim / 1000).toFixed(1)}k` : dim;
+  };
+
+  // Legend label for a dimension: its preset label if it has one
+  const getDimensionLabel = (dim) => {
+    return dimensionLabels[dim] || `d=${formatDimension(dim)}`;
   };
 
-  // Loading visualization with progress
-  if (isLoading) {
+  // Line color of an imported embedding set
+  const getImportColor = (id) => IMPORT_COLORS[(id - 1) % IMPORT_COLORS.length];
+
+  // Chart series for the selected dimensions: simulated densities, then their exact overlays,
+  // then the sampled imported embeddings after their transforms (raw distances, or normalized with `strategyId`)
+  const distributionSeries = (histograms, strategyId = null) => [
+    ...selectedDimensions.map(dim => ({
+      id: dim,
+      name: getDimensionLabel(dim),
+      color: getDimensionColor(dim),
+      data: histograms[dim]
+    })),
+    ...selectedDimensions.map(dim => ({
+      id: `exact-${dim}`,
+      name: `${getDimensionLabel(dim)} (exact)`,
+      color: getDimensionColor(dim),
+      data: histograms[dim],
+      dataKey: 'exact',
+      dashed: true,
+      legend: false
+    })),
+    ...importedSets.filter(set => set.status === 'done').map(set => ({
+      id: `import-${set.id}`,
+      name: `${set.name} (d=${formatDimension(set.dimension)}${set.transformed ? ', transformed' : ''})`,
+      color: getImportColor(set.id),
+      data: histogramDensity(strategyId ? set.current.normalized[strategyId].histogram : set.current.original.histogram),
+      width: 3
+    }))
+  ];
+
+  // Loading visualization with progress, until the first dimension is ready
+  if (!data || (isRunning && data.statistics.length === 0)) {
     return (
       <div className="flex flex-col justify-center items-center h-96 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg shadow p-8">
         <div className="w-full max-w-md mb-6">
@@ -284,13 +657,94 @@ const CosineDistributionVisualization = () => {
         
         {/* Loading spinner */}
         <div className="inline-block w-12 h-12 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+        
+        <button
+          className="mt-6 px-4 py-2 rounded-lg text-sm font-medium bg-white text-gray-700 border border-gray-300 hover:bg-gray-100 transition-colors duration-200"
+          onClick={cancelSimulation}
+        >
+          Cancel
+        </button>
       </div>
     );
   }
 
   // Prepare data for charts
-  const originalHistograms = generateHistogramData('originalDistance');
-  const normalizedHistograms = generateHistogramData('normalizedDistance', true);
+  const originalHistograms = generateHistogramData();
+  const normalizedHistograms = generateHistogramData(normalizationStrategy);
+  
+  // Thresholds admitting the chosen fraction of random pairs in each finished dimension,
+  // from the exact distribution or the simulated quantile sketch
+  const falseMatchRate = Number(falseMatchRateInput) > 0 && Number(falseMatchRateInput) < 1 ? Number(falseMatchRateInput) : null;
+  const thresholdRows = falseMatchRate === null ? [] : data.statistics.map(stat => {
+    const distance = thresholdSource === 'exact'
+      ? distanceThreshold(falseMatchRate, stat.dimension)
+      : sketchQuantile(data.distributions[stat.dimension].original.sketch, falseMatchRate);
+    return {
+      dimension: stat.dimension,
+      distance,
+      similarity: 1 - distance,
+      samplesBelow: falseMatchRate * stat.sampleSize
+    };
+  });
+  
+  // Significance of an observed similarity under the random unit-vector null
+  const significance = (() => {
+    const similarity = Number(significanceInput.similarity);
+    const dimension = Number(significanceInput.dimension);
+    if (significanceInput.similarity.trim() === '' || !Number.isFinite(similarity) || similarity < -1 || similarity > 1) return null;
+    if (!Number.isInteger(dimension) || dimension < MIN_DIMENSION || dimension > MAX_FAST_DIMENSION) return null;
+    const distance = 1 - similarity;
+    const pValue = distancePValue(distance, dimension);
+    const stat = data.statistics.find(s => s.dimension === dimension);
+    return {
+      dimension,
+      distance,
+      pValue,
+      zScore: similarity * Math.sqrt(dimension),
+      normalizedDistance: getNormalizationStrategy(normalizationStrategy)
+        .createNormalizer(dimension, stat && stat.normalizationContext)
+        .normalize(distance),
+      // Percentile of the similarity; the `percentile` of the scoring API, CLI and service is
+      // that of the distance, pValue × 100
+      similarityPercentile: (1 - pValue) * 100
+    };
+  })();
+  
+  // Translate the threshold between dimensions with both methods; the chart markers place the
+  // original and the selected translation on the normalized scale currently shown
+  const translation = (() => {
+    const value = Number(translator.value);
+    const fromDim = Number(translator.fromDim);
+    const toDim = Number(translator.toDim);
+    const validDim = (dim) => Number.isInteger(dim) && dim >= MIN_DIMENSION && dim <= MAX_FAST_DIMENSION;
+    if (translator.value.trim() === '' || !Number.isFinite(value) || !validDim(fromDim) || !validDim(toDim)) return null;
+    const distance = translator.kind === 'similarity' ? 1 - value : value;
+    if (distance < 0 || distance > 2) return null;
+
+    const percentileDistance = translateThreshold(distance, fromDim, toDim);
+    const sqrtDistance = translateNormalizedThreshold(distance, fromDim, toDim, 'sqrt-d');
+    const normalizerFor = (dim) => {
+      const stat = data.statistics.find(s => s.dimension === dim);
+      return getNormalizationStrategy(normalizationStrategy).createNormalizer(dim, stat && stat.normalizationContext);
+    };
+    return {
+      fromDim,
+      toDim,
+      pValue: distancePValue(distance, fromDim),
+      percentileDistance,
+      sqrtDistance,
+      fromNormalized: normalizerFor(fromDim).normalize(distance),
+      toNormalized: normalizerFor(toDim).normalize(translator.method === 'percentile' ? percentileDistance : sqrtDistance)
+    };
+  })();
+  
+  // Prepare data for the normalization quality panel
+  const qualityRows = assessNormalization(data.statistics, normalizationStrategy, qualityTarget);
+  const qualityChartData = data.statistics.map(stat => {
+    const point = { dimension: stat.dimension };
+    Object.keys(NORMALIZATION_STRATEGIES).forEach(id => { point[id] = stat.normalized[id].std; });
+    return point;
+  });
   
   // Prepare data for standard deviation vs dimension chart
   const stdDevData = data.statistics.map(stat => ({
@@ -298,6 +752,24 @@ const CosineDistributionVisualization = () => {
     empiricalStdDev: stat.originalStd,
     theoreticalStdDev: stat.theoreticalStd
   }));
+  
+  // Mean distance per dimension with its confidence interval; random isotropic vectors sit at 1.0
+  const meanData = data.statistics.map(stat => ({
+    dimension: stat.dimension,
+    mean: stat.originalMean,
+    lower: stat.meanInterval.lower,
+    upper: stat.meanInterval.upper
+  }));
+  
+  // Generator being edited, with its parameters and how many dimensions its spectrum
+  // effectively uses at the largest selected dimension
+  const editedGenerator = getGenerator(settings.generator);
+  const editedGeneratorOptions = resolveGeneratorOptions(editedGenerator, settings.generatorOptions);
+  const spectrumDimension = Math.max(...selectedDimensions, MIN_DIMENSION);
+  const spectrumEffectiveDimension = editedGenerator.spectrum
+    ? effectiveDimension(editedGenerator.spectrum(spectrumDimension, editedGeneratorOptions))
+    : null;
+  const resultsGenerator = getGenerator(data.settings.generator);
 
   return (
     <div className="p-6 bg-gradient-to-r from-gray-50 to-gray-100 rounded-xl shadow-md">
@@ -313,7 +785,8 @@ const CosineDistributionVisualization = () => {
         {[
           { id: 'basics', label: 'Mathematical Foundations' },
           { id: 'problem', label: 'The Concentration Problem' },
-          { id: 'solution', label: 'Normalization Solution' }
+          { id: 'solution', label: 'Normalization Solution' },
+          { id: 'scores', label: 'Score Analysis' }
         ].map(tab => (
           <button 
             key={tab.id}
@@ -328,32 +801,459 @@ const CosineDistributionVisualization = () => {
         ))}
       </div>
       
+      {/* Simulation controls */}
+      <div className="mb-8 bg-white p-4 rounded-lg shadow-sm">
+        <h3 className="text-lg font-semibold mb-3 text-gray-800">Simulation:</h3>
+        {isRunning ? (
+          <div className="flex flex-col md:flex-row md:items-center gap-4">
+            <div className="flex-1">
+              <p className="text-sm text-gray-600 mb-2">{progressMessage}</p>
+              <div className="h-3 w-full bg-gray-200 rounded-full overflow-hidden shadow-inner">
+                <div 
+                  className="h-full bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full transition-all duration-300"
+                  style={{ width: `${Math.max(5, loadingProgress)}%` }}
+                ></div>
+              </div>
+              {partialStats && (
+                <p className="text-xs text-gray-500 mt-2">
+                  d={formatDimension(partialStats.dimension)}: {partialStats.completed.toLocaleString()} / {data.settings.sampleSize === 'adaptive' ? '≈' : ''}{partialStats.expected.toLocaleString()} samples
+                  · running mean {partialStats.mean.toFixed(4)} · running std {partialStats.std.toFixed(4)}
+                </p>
+              )}
+            </div>
+            <button
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-white text-gray-700 border border-gray-300 hover:bg-gray-100 transition-colors duration-200"
+              onClick={cancelSimulation}
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-col md:flex-row md:items-center gap-4">
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                Samples:
+                <select
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={settings.sampleSize}
+                  onChange={(e) => setSettings({
+                    ...settings,
+                    sampleSize: ['auto', 'adaptive'].includes(e.target.value) ? e.target.value : Number(e.target.value)
+                  })}
+                >
+                  {sampleSizeOptions.map(option => (
+                    <option key={option.value} value={option.value} disabled={option.fastOnly && settings.mode !== 'fast'}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {settings.sampleSize === 'adaptive' && (
+                <label className="text-sm text-gray-700 flex items-center gap-2">
+                  Std within ±
+                  <select
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    value={settings.precision.relativeError}
+                    onChange={(e) => setSettings({ ...settings, precision: { ...settings.precision, relativeError: Number(e.target.value) } })}
+                  >
+                    {[0.05, 0.02, 0.01, 0.005, 0.002].map(value => (
+                      <option key={value} value={value}>{value * 100}%</option>
+                    ))}
+                  </select>
+                  at
+                  <select
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    value={settings.precision.confidence}
+                    onChange={(e) => setSettings({ ...settings, precision: { ...settings.precision, confidence: Number(e.target.value) } })}
+                  >
+                    {[0.9, 0.95, 0.99].map(value => (
+                      <option key={value} value={value}>{value * 100}%</option>
+                    ))}
+                  </select>
+                  confidence
+                </label>
+              )}
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                Vectors:
+                <select
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={settings.generator}
+                  onChange={(e) => updateGenerator(e.target.value)}
+                  title={editedGenerator.description}
+                >
+                  {Object.values(GENERATORS).map(generator => (
+                    <option key={generator.id} value={generator.id}>{generator.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                Mode:
+                <select
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={settings.mode}
+                  onChange={(e) => updateMode(e.target.value)}
+                  title="Fast mode draws similarities from their exact Beta law instead of building vectors"
+                >
+                  <option value="vector">Vectors (build each pair)</option>
+                  <option value="fast" disabled={!editedGenerator.supportsFastMode}>Fast (Beta sampling, d up to 1M)</option>
+                </select>
+              </label>
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                Seed:
+                <input
+                  className={`w-32 border rounded-md px-2 py-1 text-sm font-mono ${parseSeed(seedInput) === null ? 'border-red-400' : 'border-gray-300'}`}
+                  value={seedInput}
+                  onChange={(e) => updateSeed(e.target.value)}
+                />
+                <button
+                  className="px-2 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors duration-200"
+                  onClick={() => updateSeed(String(randomSeed()))}
+                >
+                  New seed
+                </button>
+              </label>
+              <button
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+                disabled={parseSeed(seedInput) === null}
+                onClick={rerunSimulation}
+              >
+                Re-run with new settings
+              </button>
+              <div className="md:ml-auto text-right">
+                <p className="text-xs text-gray-500">
+                  {data.statistics.length} of {data.dimensions.length} dimensions simulated with seed <span className="font-mono">{data.settings.seed}</span>
+                  {data.settings.mode === 'fast' && ' (fast mode)'}
+                  {resultsGenerator.id !== DEFAULT_GENERATOR && ` · ${resultsGenerator.label}`}
+                  {data.statistics.length < data.dimensions.length && ` · ${progressMessage}`}
+                </p>
+                <button
+                  className="text-xs text-blue-600 hover:underline disabled:opacity-50"
+                  disabled={data.statistics.length === 0}
+                  onClick={exportResults}
+                >
+                  Export results (JSON)
+                </button>
+              </div>
+            </div>
+            {editedGenerator.parameters.length > 0 && (
+              <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mt-3 text-sm text-gray-700">
+                <span className="text-gray-500">{editedGenerator.description}.</span>
+                {editedGenerator.parameters.map(parameter => (
+                  <label key={parameter.id} className="flex items-center gap-2">
+                    {parameter.label}:
+                    <input
+                      type="range"
+                      min={parameter.min}
+                      max={parameter.max}
+                      step={parameter.step}
+                      value={editedGeneratorOptions[parameter.id]}
+                      onChange={(e) => setSettings({
+                        ...settings,
+                        generatorOptions: { ...settings.generatorOptions, [parameter.id]: Number(e.target.value) }
+                      })}
+                    />
+                    <span className="font-mono w-10">{editedGeneratorOptions[parameter.id]}</span>
+                  </label>
+                ))}
+                {spectrumEffectiveDimension !== null && (
+                  <span className="text-gray-500">
+                    Effective dimension at d={formatDimension(spectrumDimension)}: <span className="font-mono">{spectrumEffectiveDimension.toFixed(1)}</span>
+                    {editedGeneratorOptions.commonDirection > 0 && ` · mean distance near ${(1 - editedGeneratorOptions.commonDirection ** 2).toFixed(2)}`}
+                  </span>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      
       {/* Dimension selector */}
       <div className="mb-8 bg-white p-4 rounded-lg shadow-sm">
         <h3 className="text-lg font-semibold mb-3 text-gray-800">Vector Dimensions to Compare:</h3>
         <div className="flex flex-wrap gap-2 justify-center">
           {data.dimensions.map(dim => (
-            <button
-              key={dim}
-              className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 
-                ${selectedDimensions.includes(dim) ? 
-                  'text-white shadow-md transform scale-105' : 
-                  'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
-              style={selectedDimensions.includes(dim) ? {backgroundColor: getDimensionColor(dim)} : {}}
-              onClick={() => {
-                if (selectedDimensions.includes(dim)) {
-                  setSelectedDimensions(selectedDimensions.filter(d => d !== dim));
-                } else if (selectedDimensions.length < 4) {
-                  setSelectedDimensions([...selectedDimensions, dim].sort((a, b) => a - b));
-                }
-              }}
-            >
-              d={formatDimension(dim)}
-            </button>
+            <div key={dim} className="relative group">
+              <button
+                className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 
+                  ${selectedDimensions.includes(dim) ? 
+                    'text-white shadow-md transform scale-105' : 
+                    'bg-gray-200 text-gray-700 hover:bg-gray-300'}
+                  ${data.distributions[dim] && !data.distributions[dim].partial ? '' : 'opacity-50'}`}
+                style={selectedDimensions.includes(dim) ? {backgroundColor: getDimensionColor(dim)} : {}}
+                title={!data.distributions[dim] ? 'Not simulated yet' : data.distributions[dim].partial ? 'Simulating...' : undefined}
+                onClick={() => {
+                  if (selectedDimensions.includes(dim)) {
+                    setSelectedDimensions(selectedDimensions.filter(d => d !== dim));
+                  } else if (selectedDimensions.length < 4) {
+                    setSelectedDimensions([...selectedDimensions, dim].sort((a, b) => a - b));
+                  }
+                }}
+              >
+                {getDimensionLabel(dim)}
+              </button>
+              <button
+                className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-white text-gray-500 border border-gray-300 text-xs leading-none hidden group-hover:flex items-center justify-center hover:text-red-600"
+                title={`Remove d=${dim}`}
+                onClick={() => removeDimension(dim)}
+              >
+                ×
+              </button>
+            </div>
           ))}
         </div>
+        <div className="flex flex-wrap gap-2 justify-center items-center mt-4">
+          <input
+            type="number"
+            min={MIN_DIMENSION}
+            max={getMaxDimension(data.settings.mode)}
+            placeholder="e.g. 768"
+            className="w-32 border border-gray-300 rounded-md px-2 py-1 text-sm"
+            value={dimensionInput}
+            onChange={(e) => setDimensionInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') addDimensionFromInput(); }}
+          />
+          <button
+            className="px-3 py-1 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200"
+            onClick={addDimensionFromInput}
+          >
+            Add dimension
+          </button>
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            value=""
+            onChange={(e) => addPreset(Number(e.target.value))}
+          >
+            <option value="" disabled>Add embedding preset...</option>
+            {embeddingPresets.map((preset, index) => (
+              <option key={preset.label} value={index} title={preset.models.join(', ')}>
+                {preset.label}{preset.models.length > 0 && ` — ${preset.models[0]}`}
+              </option>
+            ))}
+          </select>
+          {dimensionError && <span className="text-xs text-red-600">{dimensionError}</span>}
+        </div>
         <p className="text-sm text-gray-500 mt-2 text-center">
-          Select up to 4 dimensions to visualize their distribution properties
+          Select up to 4 dimensions to visualize their distribution properties. Added dimensions are simulated on demand;
+          embedding presets are read from <code>src/data/embeddingPresets.json</code>.
+        </p>
+      </div>
+      
+      {/* Imported embeddings */}
+      <div className="mb-8 bg-white p-4 rounded-lg shadow-sm">
+        <h3 className="text-lg font-semibold mb-3 text-gray-800">Your Embeddings:</h3>
+        <div
+          className={`border-2 border-dashed rounded-lg p-6 text-center text-sm transition-colors duration-200
+            ${dragActive ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500'}`}
+          onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragActive(false);
+            importFiles(e.dataTransfer.files);
+          }}
+        >
+          Drop {EMBEDDING_FILE_TYPES.join(', ')} files here, or{' '}
+          <label className="text-blue-600 hover:underline cursor-pointer">
+            browse
+            <input
+              type="file"
+              multiple
+              accept={EMBEDDING_FILE_TYPES.join(',')}
+              className="hidden"
+              onChange={(e) => {
+                importFiles(e.target.files);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+        {importedSets.length > 0 && (
+          <div className="mt-3 space-y-2">
+            {importedSets.map(set => {
+              const draft = getTransformDraft(set);
+              return (
+                <div key={set.id} className="flex flex-wrap items-center gap-3 text-sm bg-gray-50 rounded-md px-3 py-2">
+                  <span className="w-3 h-3 rounded-full" style={{ backgroundColor: getImportColor(set.id) }}></span>
+                  <span className="font-medium text-gray-800">{set.name}</span>
+                  {set.rows && (
+                    <span className="text-gray-600">
+                      {set.rows.toLocaleString()} × {set.dimension} · {set.detail}
+                    </span>
+                  )}
+                  {set.status === 'loading' && (
+                    <span className="text-gray-500">
+                      Reading file...{set.progress !== undefined && ` ${Math.round(set.progress * 100)}%`}
+                    </span>
+                  )}
+                  {set.status === 'sampling' && (
+                    <span className="text-gray-500">
+                      {set.stage === null || set.stage === undefined
+                        ? `Sampling pairs... ${Math.round(set.progress * 100)}%`
+                        : `${EMBEDDING_TRANSFORMS[set.transforms[set.stage].id].label} (step ${set.stage + 1} of ${set.stageCount}): ${
+                          set.fitting ? 'fitting...' : `sampling pairs... ${Math.round(set.progress * 100)}%`}`}
+                    </span>
+                  )}
+                  {set.status === 'done' && (
+                    <span className="text-gray-700 font-mono">
+                      mean {set.statistics.originalMean.toFixed(4)} · std {set.statistics.originalStd.toFixed(4)}
+                      {' '}({set.statistics.ratio.toFixed(2)}× the random 1/√d)
+                    </span>
+                  )}
+                  {set.status === 'error' && <span className="text-red-600">{set.error}</span>}
+                  <button
+                    className="ml-auto text-gray-500 hover:text-red-600"
+                    title={`Remove ${set.name}`}
+                    onClick={() => removeImportedSet(set.id)}
+                  >
+                    ×
+                  </button>
+                  {set.errorCount > 0 && (
+                    <details className="w-full text-xs text-red-700">
+                      <summary className="cursor-pointer">
+                        {set.errorCount.toLocaleString()} {set.errorCount === 1 ? 'row' : 'rows'} skipped
+                      </summary>
+                      <ul className="mt-1 ml-4 list-disc font-mono">
+                        {set.errors.map(error => (
+                          <li key={error.line}>line {error.line}: {error.message}</li>
+                        ))}
+                        {set.errorCount > set.errors.length && (
+                          <li>... and {(set.errorCount - set.errors.length).toLocaleString()} more</li>
+                        )}
+                      </ul>
+                    </details>
+                  )}
+                  {set.status === 'done' && set.labelSplit && (
+                    <div className="w-full">
+                      <div className="h-64">
+                        <DistributionChart
+                          series={[
+                            { id: 'all', name: 'All pairs', color: getImportColor(set.id), data: set.labelChart.all },
+                            { id: 'same', name: 'Same label', color: '#10B981', data: set.labelChart.same },
+                            { id: 'different', name: 'Different labels', color: '#EF4444', data: set.labelChart.different },
+                            { id: 'null', name: `Random unit vectors, d=${set.dimension} (exact)`, color: '#9CA3AF', data: set.labelChart.all, dataKey: 'exact', dashed: true }
+                          ]}
+                          domain={[0, 2]}
+                          xLabel="Cosine Distance"
+                          tooltipLabel="Distance"
+                        />
+                      </div>
+                      <p className="text-xs text-gray-600 font-mono">
+                        {set.labelSplit.labels} labels · same label: mean {set.labelSplit.same.statistics.originalMean.toFixed(4)},
+                        std {set.labelSplit.same.statistics.originalStd.toFixed(4)} · different labels: mean{' '}
+                        {set.labelSplit.different.statistics.originalMean.toFixed(4)}, std {set.labelSplit.different.statistics.originalStd.toFixed(4)}
+                      </p>
+                    </div>
+                  )}
+                  {set.status === 'done' && (
+                    <div className="w-full border-t border-gray-200 pt-2">
+                      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-700">
+                        <span className="font-medium">Transforms:</span>
+                        {Object.values(EMBEDDING_TRANSFORMS).map(transform => {
+                          const step = draft.steps.find(s => s.id === transform.id);
+                          return (
+                            <label key={transform.id} className="flex items-center gap-1" title={transform.description}>
+                              <input
+                                type="checkbox"
+                                checked={Boolean(step)}
+                                onChange={() => toggleTransform(set, transform.id)}
+                              />
+                              {transform.label}
+                              {transform.hasComponents && step && (
+                                <input
+                                  type="number"
+                                  min={transform.minComponents ?? 1}
+                                  className="w-14 px-1 border border-gray-300 rounded"
+                                  title="Number of principal directions"
+                                  value={step.components !== undefined ? step.components : transform.defaultComponents(set.dimension)}
+                                  onChange={(e) => setTransformComponents(set, transform.id, e.target.value)}
+                                />
+                              )}
+                            </label>
+                          );
+                        })}
+                        <button
+                          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+                          onClick={() => applyTransforms(set)}
+                        >
+                          Apply
+                        </button>
+                        {draft.error && <span className="text-red-600">{draft.error}</span>}
+                      </div>
+                      
+                      {set.transformed && (
+                        <>
+                          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-3">
+                            {[
+                              { key: 'original', domain: [0, 2], xLabel: 'Cosine Distance', tooltipLabel: 'Distance' },
+                              { key: 'normalized', domain: [-1, 3], xLabel: 'Normalized Cosine Distance (√d scaling)', tooltipLabel: 'Normalized' }
+                            ].map(chart => (
+                              <div key={chart.key} className="h-64">
+                                <DistributionChart
+                                  series={[
+                                    { id: 'before', name: 'Before', color: getImportColor(set.id), data: set.transformChart[chart.key][0] },
+                                    ...set.transformed.stages.map((stage, i) => ({
+                                      id: `stage-${i}`,
+                                      name: `+ ${stage.label}`,
+                                      color: TRANSFORM_STAGE_COLORS[i % TRANSFORM_STAGE_COLORS.length],
+                                      data: set.transformChart[chart.key][i + 1],
+                                      width: i === set.transformed.stages.length - 1 ? 3 : undefined
+                                    })),
+                                    { id: 'null', name: 'Random unit vectors (exact)', color: '#9CA3AF', data: set.transformChart[chart.key][0], dataKey: 'exact', dashed: true }
+                                  ]}
+                                  domain={chart.domain}
+                                  xLabel={chart.xLabel}
+                                  tooltipLabel={chart.tooltipLabel}
+                                  markers={[{ x: 1, color: '#FF0000', dashed: true }]}
+                                />
+                              </div>
+                            ))}
+                          </div>
+                          <div className="overflow-x-auto mt-2">
+                            <table className="w-full text-xs text-left">
+                              <thead>
+                                <tr className="border-b border-gray-300 text-gray-700">
+                                  <th className="py-1 pr-4">Stage</th>
+                                  <th className="py-1 pr-4">Fitted</th>
+                                  <th className="py-1 pr-4">Mean</th>
+                                  <th className="py-1 pr-4">Std / (1/√d)</th>
+                                  <th className="py-1 pr-4">Normalized mean</th>
+                                  <th className="py-1 pr-4">Normalized std</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {[
+                                  { name: 'Before', fitted: '—', stat: set.statistics },
+                                  ...set.transformed.stages.map(stage => ({ name: `+ ${stage.label}`, fitted: describeTransformStage(stage), stat: stage.statistics }))
+                                ].map(row => (
+                                  <tr key={row.name} className="border-b border-gray-200">
+                                    <td className="py-1 pr-4 font-medium">{row.name}</td>
+                                    <td className="py-1 pr-4">{row.fitted}</td>
+                                    <td className="py-1 pr-4 font-mono">{row.stat.originalMean.toFixed(4)}</td>
+                                    <td className="py-1 pr-4 font-mono">{row.stat.ratio.toFixed(2)}</td>
+                                    <td className="py-1 pr-4 font-mono">{row.stat.normalized[DEFAULT_NORMALIZATION].mean.toFixed(3)}</td>
+                                    <td className="py-1 pr-4 font-mono">{row.stat.normalized[DEFAULT_NORMALIZATION].std.toFixed(3)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+        <p className="text-sm text-gray-500 mt-2 text-center">
+          Files are read in your browser and never uploaded. Random pairs of rows are sampled with the current simulation
+          settings and drawn as thick lines next to the synthetic dimensions on the distance charts. Text files hold one
+          vector per row (CSV/TSV columns, or a JSON array field in JSONL) and may add id, text and label columns; with
+          labels, pairs sharing a label are compared with pairs across labels. Large files keep a sample
+          of {DEFAULT_BENCHMARK_LIMITS.baseVectors.toLocaleString()} rows. Real embeddings are anisotropic: their distances
+          sit below 1.0 and spread far more than 1/√d. Transforms run before the distances are computed and show how much
+          of the random-vector concentration each one restores, which the normalization on the Solution tab assumes.
         </p>
       </div>
       
@@ -418,7 +1318,7 @@ const CosineDistributionVisualization = () => {
                     <li>Scale invariance: only direction matters, not magnitude</li>
                     <li>Bounded range: distance ∈ [0, 2]</li>
                     <li>Not a true metric (triangle inequality doesn't hold)</li>
-                    <li>Efficient for sparse high-dimensional vectors</li>
+                    <li>Efficient for sparse high-dimensional vectors (compare the sparse, non-negative and binary generators with the isotropic one)</li>
                   </ul>
                 </div>
               </div>
@@ -557,43 +1457,161 @@ const CosineDistributionVisualization = () => {
             <div className="mb-6">
               <h3 className="text-lg font-semibold mb-3 text-gray-800">Sample Distribution of Original Cosine Distances</h3>
               <div className="h-80 bg-gray-50 p-4 rounded-lg shadow-sm">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart
-                    margin={{ top: 5, right: 30, left: 10, bottom: 25 }}
-                  >
-                    <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.5} />
-                    <XAxis 
-                      type="number" 
-                      dataKey="x" 
-                      domain={[0, 2]} 
-                      label={{ value: 'Cosine Distance', position: 'insideBottom', offset: -5, fontSize: 12 }}
-                    />
-                    <YAxis 
-                      label={{ value: 'Density', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    />
-                    <Tooltip 
-                      formatter={(value) => value.toFixed(4)} 
-                      labelFormatter={(label) => `Distance: ${parseFloat(label).toFixed(2)}`}
-                      contentStyle={{ fontSize: '12px' }}
-                    />
-                    <Legend wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} verticalAlign="bottom" height={36} />
-                    {selectedDimensions.map(dim => (
-                      <Line 
-                        key={dim}
-                        data={originalHistograms[dim]} 
-                        type="monotone" 
-                        dataKey="count" 
-                        stroke={getDimensionColor(dim)}
-                        strokeWidth={2}
-                        name={`d=${formatDimension(dim)}`}
-                      />
-                    ))}
-                    <ReferenceLine x={1} stroke="#FF0000" strokeDasharray="3 3" label={{ value: 'Mean = 1.0', position: 'top', fontSize: 12 }} />
-                  </LineChart>
-                </ResponsiveContainer>
+                <DistributionChart
+                  series={distributionSeries(originalHistograms)}
+                  domain={[0, 2]}
+                  xLabel="Cosine Distance"
+                  tooltipLabel="Distance"
+                  markers={[
+                    { x: 1, color: '#FF0000', dashed: true, label: 'Mean = 1.0' },
+                    ...(significance ? [
+                      { x: significance.distance, color: '#111827', width: 2, label: `observed (d=${formatDimension(significance.dimension)})`, labelPosition: 'insideTopLeft', fontSize: 11 }
+                    ] : [])
+                  ]}
+                />
               </div>
               <p className="text-sm text-gray-600 mt-2 text-center">
-                This graph shows the distribution of cosine distances between random unit vectors in different dimensions
+                This graph shows the distribution of cosine distances between random unit vectors in different dimensions.
+                Dashed lines show the exact density, proportional to (1 - t²)^((d-3)/2) for similarity t = 1 - distance.
+              </p>
+            </div>
+            
+            <div className="mb-6 bg-gray-50 p-4 rounded-lg shadow-sm">
+              <h3 className="text-lg font-semibold mb-3 text-gray-800">Is This Similarity Meaningful?</h3>
+              <p className="text-sm text-gray-600 mb-3">
+                Enter an observed cosine similarity and the embedding dimension to see how likely two random vectors are
+                to be at least that similar. The observed value is marked on the chart above.
+              </p>
+              <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                  Similarity:
+                  <input
+                    type="text"
+                    className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm font-mono"
+                    value={significanceInput.similarity}
+                    onChange={(e) => setSignificanceInput({ ...significanceInput, similarity: e.target.value })}
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  Dimension:
+                  <input
+                    type="number"
+                    className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    value={significanceInput.dimension}
+                    onChange={(e) => setSignificanceInput({ ...significanceInput, dimension: e.target.value })}
+                  />
+                </label>
+              </div>
+              
+              {significance ? (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                  <div className="bg-white p-3 rounded shadow-sm">
+                    <p className="text-gray-600">p-value</p>
+                    <p className="font-mono text-lg text-gray-800">{significance.pValue.toExponential(3)}</p>
+                    <p className={`text-xs font-medium ${significance.pValue < 0.001 ? 'text-green-600' : significance.pValue < 0.05 ? 'text-amber-600' : 'text-red-600'}`}>
+                      {significance.pValue < 0.001 ? 'Very unlikely by chance' : significance.pValue < 0.05 ? 'Unlikely by chance' : 'Typical of random vectors'}
+                    </p>
+                  </div>
+                  <div className="bg-white p-3 rounded shadow-sm">
+                    <p className="text-gray-600">z-score</p>
+                    <p className="font-mono text-lg text-gray-800">{significance.zScore.toFixed(2)}</p>
+                    <p className="text-xs text-gray-600">similarity × √d (null std is 1/√d)</p>
+                  </div>
+                  <div className="bg-white p-3 rounded shadow-sm">
+                    <p className="text-gray-600">Normalized distance</p>
+                    <p className="font-mono text-lg text-gray-800">{significance.normalizedDistance.toFixed(3)}</p>
+                    <p className="text-xs text-gray-600">{getNormalizationStrategy(normalizationStrategy).label}</p>
+                  </div>
+                  <div className="bg-white p-3 rounded shadow-sm">
+                    <p className="text-gray-600">Similarity percentile</p>
+                    <p className="font-mono text-lg text-gray-800">{significance.similarityPercentile.toFixed(4)}</p>
+                    <p className="text-xs text-gray-600">of random-pair similarities below it</p>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-red-600">
+                  Enter a similarity between -1 and 1 and a whole-number dimension between {MIN_DIMENSION} and {MAX_FAST_DIMENSION.toLocaleString()}.
+                </p>
+              )}
+              <p className="text-sm text-gray-600 mt-2">
+                The p-value is one-sided and exact: P(similarity ≥ observed) for independent uniformly random directions.
+                Real embeddings are rarely isotropic, so treat it as a lower bound on how surprising a match is.
+              </p>
+            </div>
+            
+            <div className="mb-6 bg-gray-50 p-4 rounded-lg shadow-sm">
+              <h3 className="text-lg font-semibold mb-3 text-gray-800">Threshold Calibrator</h3>
+              <p className="text-sm text-gray-600 mb-3">
+                Similarity thresholds must be dimension-dependent. Pick the fraction of random vector pairs you are
+                willing to accept as matches, and get the cosine threshold that admits exactly that fraction in every dimension.
+              </p>
+              <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                  False-match rate:
+                  <input
+                    type="text"
+                    className={`w-24 border rounded-md px-2 py-1 text-sm font-mono ${falseMatchRate === null ? 'border-red-400' : 'border-gray-300'}`}
+                    value={falseMatchRateInput}
+                    onChange={(e) => setFalseMatchRateInput(e.target.value)}
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  From:
+                  <select
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    value={thresholdSource}
+                    onChange={(e) => setThresholdSource(e.target.value)}
+                  >
+                    <option value="exact">Exact distribution</option>
+                    <option value="simulation">Simulated samples</option>
+                  </select>
+                </label>
+                <button
+                  className="px-3 py-1 rounded-md text-sm font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors duration-200 disabled:opacity-50"
+                  onClick={copyThresholdTable}
+                  disabled={thresholdRows.length === 0}
+                >
+                  {thresholdCopied ? 'Copied' : 'Copy table'}
+                </button>
+                {falseMatchRate === null && (
+                  <span className="text-red-600">Enter a rate between 0 and 1, e.g. 1e-3</span>
+                )}
+              </div>
+              
+              {thresholdRows.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead>
+                      <tr className="border-b border-gray-300 text-gray-700">
+                        <th className="py-2 pr-4">Dimension</th>
+                        <th className="py-2 pr-4">Max cosine distance</th>
+                        <th className="py-2 pr-4">Min cosine similarity</th>
+                        {thresholdSource === 'simulation' && <th className="py-2 pr-4">Random pairs below</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {thresholdRows.map(row => (
+                        <tr key={row.dimension} className="border-b border-gray-200">
+                          <td className="py-2 pr-4 font-medium" style={{ color: getDimensionColor(row.dimension) }}>
+                            {getDimensionLabel(row.dimension)}
+                          </td>
+                          <td className="py-2 pr-4 font-mono">{row.distance.toFixed(6)}</td>
+                          <td className="py-2 pr-4 font-mono">{row.similarity.toFixed(6)}</td>
+                          {thresholdSource === 'simulation' && (
+                            <td className={`py-2 pr-4 font-mono ${row.samplesBelow < 10 ? 'text-amber-600' : ''}`}>
+                              {row.samplesBelow.toFixed(1)}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <p className="text-sm text-gray-600 mt-2">
+                A pair is a match when its distance is at most the threshold (its similarity at least the threshold).
+                Simulated thresholds rest on only a handful of samples when few random pairs fall below them (highlighted);
+                the exact distribution has no such limit.
               </p>
             </div>
           </div>
@@ -644,7 +1662,7 @@ const CosineDistributionVisualization = () => {
                     <YAxis 
                       type="number" 
                       scale="log"
-                      domain={[0.01, 1]} 
+                      domain={[(dataMin) => Math.min(0.01, dataMin), 1]} 
                       label={{ value: 'Standard Deviation', angle: -90, position: 'insideLeft', fontSize: 12 }}
                       tickFormatter={(tick) => tick.toFixed(2)}
                     />
@@ -713,6 +1731,191 @@ const CosineDistributionVisualization = () => {
               </p>
             </div>
           </div>
+          
+          <div className="bg-gray-50 p-4 rounded-lg shadow-sm mb-6">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Mean Distance vs. Dimension</h3>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart
+                  data={meanData}
+                  margin={{ top: 5, right: 30, left: 10, bottom: 25 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.5} />
+                  <XAxis 
+                    dataKey="dimension" 
+                    type="number" 
+                    scale="log" 
+                    domain={['dataMin', 'dataMax']} 
+                    tickFormatter={(tick) => formatDimension(tick)}
+                    label={{ value: 'Dimension (log scale)', position: 'insideBottom', offset: -5, fontSize: 12 }}
+                  />
+                  <YAxis 
+                    type="number" 
+                    domain={[(dataMin) => Math.min(0.9, dataMin), (dataMax) => Math.max(1.1, dataMax)]} 
+                    tickFormatter={(tick) => tick.toFixed(2)}
+                    label={{ value: 'Mean Cosine Distance', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                  />
+                  <Tooltip 
+                    formatter={(value) => value.toFixed(4)} 
+                    labelFormatter={(label) => `Dimension: ${label}`}
+                    contentStyle={{ fontSize: '12px' }}
+                  />
+                  <Legend wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} verticalAlign="bottom" height={36} />
+                  <ReferenceLine y={1} stroke="#FF0000" strokeDasharray="3 3" label={{ value: 'Isotropic = 1.0', position: 'insideTopRight', fontSize: 12 }} />
+                  <Line type="monotone" dataKey="mean" stroke="#8884d8" name={`Mean (${resultsGenerator.label})`} strokeWidth={2} activeDot={{ r: 6 }} />
+                  <Line type="monotone" dataKey="lower" stroke="#8884d8" name="Confidence interval" strokeDasharray="4 4" strokeWidth={1} dot={false} />
+                  <Line type="monotone" dataKey="upper" stroke="#8884d8" strokeDasharray="4 4" strokeWidth={1} dot={false} legendType="none" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              Random isotropic vectors have a mean distance of exactly 1.0 in every dimension, which the normalization relies on.
+              Pick an anisotropic generator above to see a common direction pull the mean below 1.0, and a fast-decaying spectrum
+              keep the spread from shrinking like 1/√d in the standard deviation chart.
+            </p>
+          </div>
+          
+          <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Measured Statistics and Their Accuracy</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead>
+                  <tr className="border-b border-gray-300 text-gray-700">
+                    <th className="py-2 pr-4">Dimension</th>
+                    <th className="py-2 pr-4">Samples</th>
+                    <th className="py-2 pr-4">Mean distance</th>
+                    <th className="py-2 pr-4">Std (confidence interval)</th>
+                    <th className="py-2 pr-4">Theoretical 1/√d</th>
+                    <th className="py-2 pr-4">Skewness / kurtosis</th>
+                    <th className="py-2 pr-4">1% – 99% quantiles</th>
+                    <th className="py-2 pr-4">Std precision</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.statistics.map(stat => (
+                    <tr key={stat.dimension} className="border-b border-gray-200">
+                      <td className="py-2 pr-4 font-medium" style={{ color: getDimensionColor(stat.dimension) }}>
+                        {getDimensionLabel(stat.dimension)}
+                      </td>
+                      <td className="py-2 pr-4">{stat.sampleSize.toLocaleString()}</td>
+                      <td className="py-2 pr-4 font-mono">
+                        {stat.originalMean.toFixed(4)} ± {stat.meanInterval.halfWidth.toFixed(4)}
+                      </td>
+                      <td className="py-2 pr-4 font-mono">
+                        {stat.originalStd.toFixed(5)} [{stat.stdInterval.lower.toFixed(5)}, {stat.stdInterval.upper.toFixed(5)}]
+                      </td>
+                      <td className="py-2 pr-4 font-mono">{stat.theoreticalStd.toFixed(5)}</td>
+                      <td className="py-2 pr-4 font-mono">{stat.skewness.toFixed(3)} / {stat.kurtosis.toFixed(3)}</td>
+                      <td className="py-2 pr-4 font-mono">{stat.quantiles.p01.toFixed(4)} – {stat.quantiles.p99.toFixed(4)}</td>
+                      <td className={`py-2 pr-4 ${stat.targetReached ? 'text-gray-700' : 'text-red-600'}`}>
+                        ±{(stat.stdInterval.relativeHalfWidth * 100).toFixed(2)}%
+                        {stat.targetPrecision !== null && (stat.targetReached
+                          ? ` (target ±${stat.targetPrecision * 100}% met)`
+                          : ` (target ±${stat.targetPrecision * 100}% not met, sample cap reached)`)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              Intervals are at {(data.settings.precision.confidence * 100).toFixed(0)}% confidence. Statistics are computed
+              in a single streaming pass (no raw samples are kept); quantiles come from a bounded-size sketch.
+              Choose &quot;Adaptive&quot; samples in the simulation settings to keep sampling each dimension until a target precision is reached.
+            </p>
+          </div>
+          
+          <div className="mt-8 bg-gray-50 p-4 rounded-lg shadow-sm">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">ANN Benchmark Vectors</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Load a SIFT/GIST-style benchmark to see how concentrated its query-to-base distances are compared with random
+              vectors of the same dimension. Files are streamed in your browser; up to{' '}
+              {DEFAULT_BENCHMARK_LIMITS.baseVectors.toLocaleString()} base vectors and {DEFAULT_BENCHMARK_LIMITS.queries.toLocaleString()} queries
+              are sampled, with the first {DEFAULT_BENCHMARK_LIMITS.neighbors} ground-truth neighbors of each query.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3 text-sm text-gray-700">
+              {[
+                { key: 'base', label: 'Base vectors (.fvecs / .bvecs)', accept: '.fvecs,.bvecs' },
+                { key: 'queries', label: 'Query vectors (optional)', accept: '.fvecs,.bvecs' },
+                { key: 'groundTruth', label: 'Ground truth (.ivecs, optional)', accept: '.ivecs' }
+              ].map(input => (
+                <label key={input.key} className="flex flex-col gap-1">
+                  {input.label}
+                  <input
+                    type="file"
+                    accept={input.accept}
+                    className="text-sm"
+                    onChange={(e) => setBenchmarkFiles({ ...benchmarkFiles, [input.key]: e.target.files[0] || null })}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+              <button
+                className="px-3 py-1 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+                onClick={runBenchmark}
+                disabled={!benchmarkFiles.base || (benchmark && benchmark.status === 'running')}
+              >
+                Load &amp; compare
+              </button>
+              {benchmark && benchmark.status === 'running' && (
+                <span className="text-gray-600">Reading {benchmark.phase}... {Math.round(benchmark.fraction * 100)}%</span>
+              )}
+              {benchmark && benchmark.status === 'error' && <span className="text-red-600">{benchmark.error}</span>}
+            </div>
+            
+            {benchmark && benchmark.status === 'done' && (
+              <>
+                <div className="h-80 mb-4">
+                  <DistributionChart
+                    series={[
+                      { id: 'random', name: benchmark.result.queryCount > 0 ? 'Query to random base vector' : 'Random base vector pairs', color: '#4F46E5', data: benchmark.charts.random },
+                      ...(benchmark.charts.groundTruth ? [
+                        { id: 'neighbors', name: 'Query to ground-truth neighbors', color: '#10B981', data: benchmark.charts.groundTruth }
+                      ] : []),
+                      { id: 'null', name: `Random unit vectors, d=${benchmark.result.dimension} (exact)`, color: '#9CA3AF', data: benchmark.charts.random, dataKey: 'exact', dashed: true }
+                    ]}
+                    domain={[0, 2]}
+                    xLabel="Cosine Distance"
+                    tooltipLabel="Distance"
+                    markers={[{ x: 1, color: '#FF0000', dashed: true, label: 'Mean = 1.0' }]}
+                  />
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-left">
+                    <thead>
+                      <tr className="border-b border-gray-300 text-gray-700">
+                        <th className="py-2 pr-4">Pairs</th>
+                        <th className="py-2 pr-4">Samples</th>
+                        <th className="py-2 pr-4">Mean</th>
+                        <th className="py-2 pr-4">Std</th>
+                        <th className="py-2 pr-4">Std / (1/√d)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        { label: 'Random pairs', stat: benchmark.result.random.statistics },
+                        ...(benchmark.result.groundTruth ? [{ label: 'Ground-truth neighbors', stat: benchmark.result.groundTruth.statistics }] : [])
+                      ].map(row => (
+                        <tr key={row.label} className="border-b border-gray-200">
+                          <td className="py-2 pr-4 font-medium">{row.label}</td>
+                          <td className="py-2 pr-4">{row.stat.sampleSize.toLocaleString()}</td>
+                          <td className="py-2 pr-4 font-mono">{row.stat.originalMean.toFixed(4)}</td>
+                          <td className="py-2 pr-4 font-mono">{row.stat.originalStd.toFixed(4)}</td>
+                          <td className="py-2 pr-4 font-mono">{row.stat.ratio.toFixed(2)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-sm text-gray-600 mt-2">
+                  d={benchmark.result.dimension}: {benchmark.result.sampledBase.toLocaleString()} of {benchmark.result.baseCount.toLocaleString()} base
+                  vectors sampled{benchmark.result.queryCount > 0 && `, ${benchmark.result.queryCount.toLocaleString()} queries in the file`}.
+                  Real data is rarely isotropic, so its distances are usually far from the random-vector curve.
+                </p>
+              </>
+            )}
+          </div>
         </div>
       )}
       
@@ -744,44 +1947,371 @@ const CosineDistributionVisualization = () => {
           
           <div className="mb-8">
             <h3 className="text-lg font-semibold mb-3 text-gray-800">Distribution of Normalized Cosine Distances</h3>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {Object.values(NORMALIZATION_STRATEGIES).map(strategy => (
+                <button
+                  key={strategy.id}
+                  className={`px-3 py-1 rounded-full text-xs font-medium transition-colors duration-200 
+                    ${normalizationStrategy === strategy.id ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                  title={strategy.description}
+                  onClick={() => setNormalizationStrategy(strategy.id)}
+                >
+                  {strategy.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600 mb-3 font-mono">
+              {getNormalizationStrategy(normalizationStrategy).formula}
+            </p>
             <div className="h-80 bg-gray-50 p-4 rounded-lg shadow-sm">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  margin={{ top: 5, right: 30, left: 10, bottom: 25 }}
+              <DistributionChart
+                series={distributionSeries(normalizedHistograms, normalizationStrategy)}
+                domain={[-1, 3]}
+                xLabel="Normalized Cosine Distance"
+                tooltipLabel="Normalized Distance"
+                markers={[
+                  { x: 1, color: '#FF0000', dashed: true, label: 'Mean = 1.0' },
+                  ...(translation ? [
+                    { x: translation.fromNormalized, color: getDimensionColor(translation.fromDim), width: 2, label: `d=${formatDimension(translation.fromDim)}`, labelPosition: 'insideTopLeft', fontSize: 11 },
+                    { x: translation.toNormalized, color: getDimensionColor(translation.toDim), width: 2, label: `d=${formatDimension(translation.toDim)}`, labelPosition: 'insideBottomRight', fontSize: 11 }
+                  ] : [])
+                ]}
+              />
+            </div>
+            <p className="text-sm text-gray-600 mt-2 text-center">
+              After normalization, distributions for all dimensions have comparable spread while maintaining the mean at 1.0.
+              Dashed lines show the exact density of the normalized distance for random unit vectors.
+            </p>
+          </div>
+          
+          <div className="mb-8 bg-gray-50 p-4 rounded-lg shadow-sm">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Cross-Dimension Threshold Translator</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Enter a threshold that worked at one dimension to get the equivalent threshold at another, e.g. when
+              switching embedding models. Both thresholds are marked on the chart above, on its normalized scale.
+            </p>
+            <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                Threshold:
+                <input
+                  type="text"
+                  className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm font-mono"
+                  value={translator.value}
+                  onChange={(e) => setTranslator({ ...translator, value: e.target.value })}
+                />
+              </label>
+              <select
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                value={translator.kind}
+                onChange={(e) => setTranslator({ ...translator, kind: e.target.value })}
+              >
+                <option value="similarity">cosine similarity</option>
+                <option value="distance">cosine distance</option>
+              </select>
+              <label className="flex items-center gap-2">
+                from dimension
+                <input
+                  type="number"
+                  className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={translator.fromDim}
+                  onChange={(e) => setTranslator({ ...translator, fromDim: e.target.value })}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                to dimension
+                <input
+                  type="number"
+                  className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={translator.toDim}
+                  onChange={(e) => setTranslator({ ...translator, toDim: e.target.value })}
+                />
+              </label>
+            </div>
+            
+            {translation ? (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                {[
+                  { id: 'percentile', label: 'Percentile matching', distance: translation.percentileDistance, note: 'Keeps the fraction of random pairs that pass the threshold' },
+                  { id: 'sqrt-d', label: '√d normalization', distance: translation.sqrtDistance, note: "Keeps the normalized distance d' of the original formula" }
+                ].map(method => (
+                  <button
+                    key={method.id}
+                    className={`p-3 rounded-lg border-2 text-left transition-colors duration-200
+                      ${translator.method === method.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white'}`}
+                    onClick={() => setTranslator({ ...translator, method: method.id })}
+                  >
+                    <p className="font-semibold text-gray-800">{method.label}</p>
+                    <p className="font-mono text-gray-800 mt-1">
+                      {translator.kind === 'similarity'
+                        ? `similarity ≥ ${(1 - method.distance).toFixed(4)}`
+                        : `distance ≤ ${method.distance.toFixed(4)}`}
+                      {' '}at d={translation.toDim}
+                    </p>
+                    <p className="text-xs text-gray-600 mt-1">{method.note}</p>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-red-600">
+                Enter a {translator.kind} threshold and two whole-number dimensions between {MIN_DIMENSION} and {MAX_FAST_DIMENSION.toLocaleString()}.
+              </p>
+            )}
+            {translation && (
+              <p className="text-sm text-gray-600 mt-3">
+                At d={translation.fromDim} a fraction {translation.pValue.toExponential(2)} of random pairs pass this threshold.
+                {translation.pValue < 1e-300 && ' That is beyond what random vectors ever reach, so percentile matching cannot resolve it; prefer the √d translation.'}
+                {' '}The chart marks the selected translation using the {getNormalizationStrategy(normalizationStrategy).label} scale.
+              </p>
+            )}
+          </div>
+          
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Comparing Normalization Strategies</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {Object.values(NORMALIZATION_STRATEGIES).map(strategy => {
+                const histograms = generateHistogramData(strategy.id);
+                return (
+                  <div
+                    key={strategy.id}
+                    className={`p-3 rounded-lg border cursor-pointer transition-shadow hover:shadow-md
+                      ${normalizationStrategy === strategy.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+                    onClick={() => setNormalizationStrategy(strategy.id)}
+                  >
+                    <h4 className="font-semibold text-gray-800 text-sm">{strategy.label}</h4>
+                    <p className="text-xs text-gray-500 font-mono mb-2">{strategy.formula}</p>
+                    <div className="h-40">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                          <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.5} />
+                          <XAxis type="number" dataKey="x" domain={[-1, 3]} tick={{ fontSize: 10 }} />
+                          <YAxis tick={{ fontSize: 10 }} />
+                          {selectedDimensions.map(dim => (
+                            <Line 
+                              key={dim}
+                              data={histograms[dim]} 
+                              type="monotone" 
+                              dataKey="count" 
+                              stroke={getDimensionColor(dim)}
+                              strokeWidth={1.5}
+                              dot={false}
+                              isAnimationActive={false}
+                              name={getDimensionLabel(dim)}
+                            />
+                          ))}
+                          <ReferenceLine x={1} stroke="#FF0000" strokeDasharray="3 3" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      Normalized std:{' '}
+                      {selectedDimensions
+                        .map(dim => data.statistics.find(stat => stat.dimension === dim))
+                        .filter(Boolean)
+                        .map(stat => `${getDimensionLabel(stat.dimension)}: ${stat.normalized[strategy.id].std.toFixed(2)}`)
+                        .join(' · ')}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-sm text-gray-600 mt-2 text-center">
+              Each panel shows the selected dimensions under one strategy; click a panel to use it in the chart above.
+              The z-score uses the mean and std of a {PILOT_SIZE.toLocaleString()}-sample pilot run per dimension.
+            </p>
+          </div>
+          
+          <div className="mb-8 bg-gray-50 p-4 rounded-lg shadow-sm">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Normalization Quality</h3>
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+              <span>Strategy: <strong>{getNormalizationStrategy(normalizationStrategy).label}</strong></span>
+              <label className="flex items-center gap-2">
+                Target std:
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0.1"
+                  className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={qualityTarget.targetStd}
+                  onChange={(e) => setQualityTarget({ ...qualityTarget, targetStd: Number(e.target.value) || DEFAULT_QUALITY_TARGET.targetStd })}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                Tolerance: ±
+                <select
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={qualityTarget.tolerance}
+                  onChange={(e) => setQualityTarget({ ...qualityTarget, tolerance: Number(e.target.value) })}
                 >
-                  <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.5} />
-                  <XAxis 
-                    type="number" 
-                    dataKey="x" 
-                    domain={[-1, 3]} 
-                    label={{ value: 'Normalized Cosine Distance', position: 'insideBottom', offset: -5, fontSize: 12 }}
-                  />
-                  <YAxis 
-                    label={{ value: 'Density', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                  />
-                  <Tooltip 
-                    formatter={(value) => value.toFixed(4)} 
-                    labelFormatter={(label) => `Normalized Distance: ${parseFloat(label).toFixed(2)}`}
-                    contentStyle={{ fontSize: '12px' }}
-                  />
-                  <Legend wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} verticalAlign="bottom" height={36} />
-                  {selectedDimensions.map(dim => (
-                    <Line 
-                      key={dim}
-                      data={normalizedHistograms[dim]} 
-                      type="monotone" 
-                      dataKey="count" 
-                      stroke={getDimensionColor(dim)}
-                      strokeWidth={2}
-                      name={`d=${formatDimension(dim)}`}
-                    />
+                  {[0.01, 0.02, 0.05, 0.1, 0.2].map(value => (
+                    <option key={value} value={value}>{value * 100}%</option>
                   ))}
-                  <ReferenceLine x={1} stroke="#FF0000" strokeDasharray="3 3" label={{ value: 'Mean = 1.0', position: 'top', fontSize: 12 }} />
-                </LineChart>
-              </ResponsiveContainer>
+                </select>
+              </label>
+              <span className="ml-auto">
+                {qualityRows.filter(row => row.pass).length} of {qualityRows.length} dimensions pass
+              </span>
             </div>
-            <p className="text-sm text-gray-600 mt-2 text-center">
-              After normalization, distributions for all dimensions have comparable spread while maintaining the mean at 1.0
+            
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart
+                    data={qualityChartData}
+                    margin={{ top: 5, right: 10, left: 0, bottom: 25 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.5} />
+                    <XAxis 
+                      dataKey="dimension" 
+                      type="number" 
+                      scale="log" 
+                      domain={['dataMin', 'dataMax']} 
+                      tickFormatter={(tick) => formatDimension(tick)}
+                      label={{ value: 'Dimension (log scale)', position: 'insideBottom', offset: -5, fontSize: 12 }}
+                    />
+                    <YAxis 
+                      domain={[0, 'auto']}
+                      label={{ value: 'Normalized Std', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      tickFormatter={(tick) => tick.toFixed(1)}
+                    />
+                    <Tooltip 
+                      formatter={(value) => value.toFixed(4)} 
+                      labelFormatter={(label) => `Dimension: ${label}`}
+                      contentStyle={{ fontSize: '12px' }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} verticalAlign="bottom" height={36} />
+                    <ReferenceArea
+                      y1={qualityTarget.targetStd * (1 - qualityTarget.tolerance)}
+                      y2={qualityTarget.targetStd * (1 + qualityTarget.tolerance)}
+                      fill="#10B981"
+                      fillOpacity={0.15}
+                    />
+                    <ReferenceLine y={qualityTarget.targetStd} stroke="#10B981" strokeDasharray="3 3" />
+                    {Object.values(NORMALIZATION_STRATEGIES).map((strategy, index) => (
+                      <Line
+                        key={strategy.id}
+                        type="monotone"
+                        dataKey={strategy.id}
+                        name={strategy.label}
+                        stroke={STRATEGY_COLORS[index % STRATEGY_COLORS.length]}
+                        strokeWidth={strategy.id === normalizationStrategy ? 3 : 1}
+                        strokeOpacity={strategy.id === normalizationStrategy ? 1 : 0.5}
+                        dot={strategy.id === normalizationStrategy}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead>
+                    <tr className="border-b border-gray-300 text-gray-700">
+                      <th className="py-2 pr-4">Dimension</th>
+                      <th className="py-2 pr-4">Normalized mean</th>
+                      <th className="py-2 pr-4">Normalized std</th>
+                      <th className="py-2 pr-4">Raw std / (1/√d)</th>
+                      <th className="py-2 pr-4">Spread</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {qualityRows.map(row => (
+                      <tr key={row.dimension} className="border-b border-gray-200">
+                        <td className="py-2 pr-4 font-medium" style={{ color: getDimensionColor(row.dimension) }}>
+                          {getDimensionLabel(row.dimension)}
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{row.normalizedMean.toFixed(4)}</td>
+                        <td className="py-2 pr-4 font-mono">{row.normalizedStd.toFixed(4)}</td>
+                        <td className="py-2 pr-4 font-mono">{row.ratio.toFixed(4)}</td>
+                        <td className={`py-2 pr-4 font-medium ${row.pass ? 'text-green-600' : 'text-red-600'}`}>
+                          {row.pass ? '✓ pass' : '✗ fail'} ({row.relativeError >= 0 ? '+' : ''}{(row.relativeError * 100).toFixed(1)}%)
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              A dimension passes when its normalized std is within the tolerance of the target spread (shaded band).
+              The chart shows every strategy; the selected one is highlighted.
+            </p>
+          </div>
+          
+          <div className="mb-8 bg-gray-50 p-4 rounded-lg shadow-sm">
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Auto-Calibrated Scaling Factors</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Instead of the hand-tuned 1.5 factor, fit a scaling factor k for every dimension so that
+              (d - 1) × k + 1 has the target std of {qualityTarget.targetStd}. Dimensions without a fitted factor
+              interpolate between their neighbours.
+            </p>
+            <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                Fit from:
+                <select
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={calibrationSource}
+                  onChange={(e) => setCalibrationSource(e.target.value)}
+                >
+                  <option value="simulation">Simulated std</option>
+                  <option value="exact">Exact variance (1/dim)</option>
+                </select>
+              </label>
+              <button
+                className="px-3 py-1 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200"
+                onClick={calibrateScalingFactors}
+              >
+                Auto-calibrate
+              </button>
+              <button
+                className="px-3 py-1 rounded-md text-sm font-medium bg-green-600 text-white hover:bg-green-700 transition-colors duration-200 disabled:opacity-50"
+                onClick={applyCalibration}
+                disabled={!calibration || isRunning}
+              >
+                Apply & re-run
+              </button>
+              <button
+                className="px-3 py-1 rounded-md text-sm font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors duration-200 disabled:opacity-50"
+                onClick={exportCalibration}
+                disabled={!calibration}
+              >
+                Export table
+              </button>
+              {data.settings.calibration && (
+                <span className="ml-auto text-green-700">
+                  Current results use a {data.settings.calibration.source} calibration of {data.settings.calibration.factors.length} dimensions
+                </span>
+              )}
+            </div>
+            
+            {calibration && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead>
+                    <tr className="border-b border-gray-300 text-gray-700">
+                      <th className="py-2 pr-4">Dimension</th>
+                      <th className="py-2 pr-4">Fitted k</th>
+                      <th className="py-2 pr-4">Formula factor</th>
+                      <th className="py-2 pr-4">k / √dim</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {calibration.factors.map(row => (
+                      <tr key={row.dimension} className="border-b border-gray-200">
+                        <td className="py-2 pr-4 font-medium" style={{ color: getDimensionColor(row.dimension) }}>
+                          {getDimensionLabel(row.dimension)}
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{row.scalingFactor.toFixed(4)}</td>
+                        <td className="py-2 pr-4 font-mono">{getScalingFactor(row.dimension).toFixed(4)}</td>
+                        <td className="py-2 pr-4 font-mono">{(row.scalingFactor / Math.sqrt(row.dimension)).toFixed(4)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="text-sm text-gray-600 mt-2">
+              Applying the table re-runs the simulation and selects the Calibrated scaling strategy. A k / √dim
+              close to 1 means plain √d scaling was already right for that dimension.
             </p>
           </div>
           
@@ -809,11 +2339,193 @@ const CosineDistributionVisualization = () => {
         </div>
       )}
       
+      {/* Content for "Score Analysis" tab */}
+      {activeTab === 'scores' && (
+        <div className="bg-white p-6 rounded-lg shadow-sm mb-6 animate-fadeIn">
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 border-b pb-2">
+            Analyze Vector Database Scores
+          </h2>
+          <p className="text-gray-700 mb-4">
+            Paste the top-k similarity scores your vector database returned, one per line. Write lines as
+            <span className="font-mono"> query,score </span> to group them by query, or separate the queries with blank lines.
+            Every score is compared with what two random vectors of the same dimension would produce.
+          </p>
+          
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-4">
+            <div className="lg:col-span-2">
+              <textarea
+                className="w-full h-48 border border-gray-300 rounded-md p-2 text-sm font-mono"
+                placeholder={'q1,0.82\nq1,0.79\nq1,0.41\nq2,0.35\n...'}
+                value={scoreText}
+                onChange={(e) => setScoreText(e.target.value)}
+              />
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt"
+                className="mt-2 text-sm text-gray-700"
+                onChange={(e) => loadScoreFile(e.target.files[0])}
+              />
+            </div>
+            <div className="space-y-3 text-sm text-gray-700">
+              <label className="flex items-center justify-between gap-2">
+                Dimension:
+                <input
+                  type="number"
+                  className="w-28 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={scoreOptions.dimension}
+                  onChange={(e) => setScoreOptions({ ...scoreOptions, dimension: e.target.value })}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                Model:
+                <select
+                  className="w-40 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value=""
+                  onChange={(e) => setScoreOptions({ ...scoreOptions, dimension: e.target.value })}
+                >
+                  <option value="" disabled>Pick a preset...</option>
+                  {embeddingPresets.map(preset => (
+                    <option key={preset.dimension} value={preset.dimension}>{preset.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                Scores are:
+                <select
+                  className="w-40 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={scoreOptions.kind}
+                  onChange={(e) => setScoreOptions({ ...scoreOptions, kind: e.target.value })}
+                >
+                  <option value="similarity">cosine similarities</option>
+                  <option value="distance">cosine distances</option>
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                Noise rate:
+                <input
+                  type="text"
+                  className="w-28 border border-gray-300 rounded-md px-2 py-1 text-sm font-mono"
+                  value={scoreOptions.noiseRate}
+                  onChange={(e) => setScoreOptions({ ...scoreOptions, noiseRate: e.target.value })}
+                />
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                Normalization:
+                <select
+                  className="w-40 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  value={scoreOptions.strategy}
+                  onChange={(e) => setScoreOptions({ ...scoreOptions, strategy: e.target.value })}
+                >
+                  {Object.values(NORMALIZATION_STRATEGIES).filter(strategy => !strategy.needsEmpiricalStats).map(strategy => (
+                    <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                className="w-full px-3 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200"
+                onClick={analyzeScoreList}
+              >
+                Analyze scores
+              </button>
+              {scoreError && <p className="text-red-600">{scoreError}</p>}
+            </div>
+          </div>
+          
+          {scoreAnalysis && (
+            <>
+              {scoreAnalysis.errors.length > 0 && (
+                <div className="p-3 mb-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                  <p className="font-medium mb-1">{scoreAnalysis.errors.length} entries were skipped:</p>
+                  <ul className="list-disc pl-5">
+                    {scoreAnalysis.errors.slice(0, 10).map((error, i) => (
+                      <li key={i}>{error.line ? `Line ${error.line}` : `${error.query}, rank ${error.rank}`}: {error.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              
+              <p className="text-gray-700 mb-4">
+                <strong>{scoreAnalysis.noiseCount}</strong> of {scoreAnalysis.resultCount} results
+                across {scoreAnalysis.queries.length} queries fall inside the noise band at d={scoreAnalysis.dimension}:
+                random vector pairs are at least that close with probability above {scoreAnalysis.noiseRate}
+                (cosine distance above {scoreAnalysis.noiseBand.lower.toFixed(4)}).
+              </p>
+              
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                {[
+                  { id: 'original', title: 'Raw Cosine Distances', xLabel: 'Cosine Distance', band: scoreAnalysis.noiseBand },
+                  { id: 'normalized', title: 'Normalized Distances', xLabel: 'Normalized Cosine Distance', band: scoreAnalysis.normalizedNoiseBand }
+                ].map(chart => (
+                  <div key={chart.id}>
+                    <h3 className="text-lg font-semibold mb-3 text-gray-800">{chart.title}</h3>
+                    <div className="h-80 bg-gray-50 p-4 rounded-lg shadow-sm">
+                      <DistributionChart
+                        series={[
+                          { id: 'observed', name: 'Observed scores', color: '#4F46E5', data: scoreAnalysis.charts[chart.id] },
+                          { id: 'null', name: 'Random vectors (exact)', color: '#9CA3AF', data: scoreAnalysis.charts[chart.id], dataKey: 'exact', dashed: true }
+                        ]}
+                        domain={['dataMin', 'dataMax']}
+                        xLabel={chart.xLabel}
+                        bands={[{ x1: chart.band.lower, x2: chart.band.upper, color: '#F59E0B' }]}
+                        markers={[{ x: 1, color: '#FF0000', dashed: true, label: 'Mean = 1.0' }]}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+              
+              <h3 className="text-lg font-semibold mb-3 text-gray-800">Results per Query</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead>
+                    <tr className="border-b border-gray-300 text-gray-700">
+                      <th className="py-2 pr-4">Query</th>
+                      <th className="py-2 pr-4">Results</th>
+                      <th className="py-2 pr-4">In noise band</th>
+                      <th className="py-2 pr-4">Scores (green: above noise)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {scoreAnalysis.queries.slice(0, MAX_DISPLAYED_QUERIES).map(query => (
+                      <tr key={query.query} className="border-b border-gray-200 align-top">
+                        <td className="py-2 pr-4 font-medium">{query.query}</td>
+                        <td className="py-2 pr-4">{query.results.length}</td>
+                        <td className="py-2 pr-4">{query.results.filter(result => result.noise).length}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex flex-wrap gap-1">
+                            {query.results.map(result => (
+                              <span
+                                key={result.rank}
+                                className={`px-2 py-0.5 rounded-full text-xs font-mono ${result.noise ? 'bg-gray-200 text-gray-600' : 'bg-green-100 text-green-800'}`}
+                                title={`Rank ${result.rank}: normalized ${result.normalizedDistance.toFixed(3)}, p = ${result.pValue.toExponential(2)}`}
+                              >
+                                {result.value}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {scoreAnalysis.queries.length > MAX_DISPLAYED_QUERIES && (
+                <p className="text-sm text-gray-600 mt-2">
+                  Showing the first {MAX_DISPLAYED_QUERIES} of {scoreAnalysis.queries.length} queries; the charts and counts cover all of them.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+      
       <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-center">
         <h3 className="font-semibold text-blue-800 mb-2">About This Visualization</h3>
         <p className="text-gray-700 text-sm">
           All data shown is generated in real-time using the Box-Muller transform to sample random unit vectors
           in the specified dimensions, then calculating their cosine distances. No pre-computed data is used.
+          In fast mode, similarities are instead drawn directly from their exact law, (1 + t)/2 ~ Beta((d-1)/2, (d-1)/2).
+          Random numbers come from a seeded xoshiro128** generator, so the same seed (currently <span className="font-mono">{data.settings.seed}</span>) always reproduces the same charts.
         </p>
       </div>
       
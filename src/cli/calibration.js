@@ -0,0 +1,23 @@
+/* eslint-env node */
+import { readFile } from 'node:fs/promises';
+import { parseCalibration } from '../lib/normalization.js';
+
+// Calibration tables for the commands that take --calibration
+
+// Check that the calibrated strategy comes with a table; without one it would silently
+// fall back to exact-std scaling while the output still says "calibrated"
+export const checkCalibrationOption = (normalization, calibrationFile) => {
+  if (normalization === 'calibrated' && !calibrationFile) {
+    throw new Error('--normalization calibrated needs --calibration <file>, a table downloaded from the calibration panel');
+  }
+};
+
+// Read and validate a calibration table file, before any row is processed
+export const readCalibration = async (file) => {
+  const text = await readFile(file, 'utf8');
+  try {
+    return parseCalibration(JSON.parse(text));
+  } catch (error) {
+    throw new Error(`--calibration ${file}: ${error.message}`);
+  }
+};
@@ -0,0 +1,23 @@
+import { parseDelimitedLine } from '../lib/delimited.js';
+
+// Minimal CSV reading and writing for the CLI commands (RFC 4180 quoting, one record per line)
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (without the line break) from an array of values
+export const csvLine = (values) => values.map(csvField).join(',');
+
+// Render rows of objects as CSV, with `columns` in the given order
+export const toCsv = (rows, columns) => {
+  const lines = [csvLine(columns)];
+  rows.forEach(row => lines.push(csvLine(columns.map(column => row[column]))));
+  return lines.join('\n') + '\n';
+};
+
+// Split one CSV line into its fields (see parseDelimitedLine)
+export const parseCsvLine = (line) => parseDelimitedLine(line, ',');
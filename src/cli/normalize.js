@@ -0,0 +1,183 @@
+/* eslint-env node */
+import { parseArgs } from 'node:util';
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { createDistanceScorer } from '../lib/scoring.js';
+import { DEFAULT_NORMALIZATION, getNormalizationStrategy } from '../lib/normalization.js';
+import { MIN_DIMENSION } from '../lib/simulation.js';
+import { csvLine, parseCsvLine } from './csv.js';
+import { checkCalibrationOption, readCalibration } from './calibration.js';
+import { openOutput, writeChunk, closeOutput } from './output.js';
+
+export const NORMALIZE_USAGE = `Usage: cosine-metric normalize [options]
+
+Read CSV or JSONL rows with raw cosine scores and write them back with the normalized
+distance, the percentile of the distance under the random-vector null (100 × the p-value) and
+the one-sided p-value.
+
+Options:
+  -i, --input <file>          Input file (default: stdin)
+  -o, --output <file>         Output file (default: stdout)
+  -f, --format <format>       csv or jsonl (default: from the input extension, else csv)
+  -c, --column <name>         Column holding the score (default: distance)
+      --similarity            The score column holds similarities instead of distances
+  -d, --dimension <n>         Dimension of every row, instead of a dimension column
+      --dimension-column <name>  Column holding the dimension (default: dimension)
+  -N, --normalization <id>    Normalization strategy (default: ${DEFAULT_NORMALIZATION})
+      --calibration <file>    Calibration table (JSON) for the calibrated strategy
+  -h, --help                  Show this help
+
+Rows whose score or dimension cannot be read are passed through with empty extra columns
+and reported on stderr.
+`;
+
+// Extra columns appended to every row
+const EXTRA_COLUMNS = ['normalized_distance', 'null_percentile', 'p_value'];
+
+// Errors reported individually on stderr before only counting them
+const MAX_REPORTED_ERRORS = 10;
+
+const parseOptions = (args) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      input: { type: 'string', short: 'i' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      column: { type: 'string', short: 'c', default: 'distance' },
+      similarity: { type: 'boolean', default: false },
+      dimension: { type: 'string', short: 'd' },
+      'dimension-column': { type: 'string', default: 'dimension' },
+      normalization: { type: 'string', short: 'N', default: DEFAULT_NORMALIZATION },
+      calibration: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) return { help: true };
+
+  const format = values.format || (values.input && /\.jsonl$/i.test(values.input) ? 'jsonl' : 'csv');
+  if (!['csv', 'jsonl'].includes(format)) throw new Error('--format must be csv or jsonl');
+
+  let dimension = null;
+  if (values.dimension !== undefined) {
+    dimension = Number(values.dimension);
+    if (!Number.isInteger(dimension) || dimension < MIN_DIMENSION) {
+      throw new Error(`--dimension must be a whole number of at least ${MIN_DIMENSION}`);
+    }
+  }
+  getNormalizationStrategy(values.normalization);
+  checkCalibrationOption(values.normalization, values.calibration);
+
+  return {
+    input: values.input,
+    output: values.output,
+    format,
+    column: values.column,
+    similarity: values.similarity,
+    dimension,
+    dimensionColumn: values['dimension-column'],
+    normalization: values.normalization,
+    calibration: values.calibration
+  };
+};
+
+// Raw distance and dimension of a row from its score and dimension fields
+const readRow = (score, dimensionValue, options) => {
+  const value = typeof score === 'number' ? score : Number(String(score).trim());
+  if (score === undefined || score === null || score === '' || !Number.isFinite(value)) {
+    throw new Error(`invalid ${options.similarity ? 'similarity' : 'distance'} "${score}"`);
+  }
+  const distance = options.similarity ? 1 - value : value;
+  if (distance < 0 || distance > 2) throw new Error(`cosine distance ${distance} is outside [0, 2]`);
+
+  const dim = options.dimension !== null ? options.dimension : Number(dimensionValue);
+  if (!Number.isInteger(dim) || dim < MIN_DIMENSION) throw new Error(`invalid dimension "${dimensionValue}"`);
+  return { distance, dim };
+};
+
+// `cosine-metric normalize`: stream rows from the input to the output, one line at a time
+export const runNormalize = async (args) => {
+  const options = parseOptions(args);
+  if (options.help) {
+    process.stdout.write(NORMALIZE_USAGE);
+    return;
+  }
+
+  const calibration = options.calibration ? await readCalibration(options.calibration) : null;
+  const score = createDistanceScorer({ strategy: options.normalization, calibration });
+
+  const input = options.input ? createReadStream(options.input) : process.stdin;
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  const output = openOutput(options.output);
+
+  let lineNumber = 0;
+  let errorCount = 0;
+  const reportError = (message) => {
+    errorCount++;
+    if (errorCount <= MAX_REPORTED_ERRORS) process.stderr.write(`Line ${lineNumber}: ${message}\n`);
+  };
+
+  let header = null;
+  let scoreIndex = -1;
+  let dimensionIndex = -1;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+
+    if (options.format === 'jsonl') {
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        reportError(`invalid JSON (${error.message})`);
+        await writeChunk(output, line + '\n');
+        continue;
+      }
+      if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+        reportError('the row is not a JSON object');
+        await writeChunk(output, line + '\n');
+        continue;
+      }
+      try {
+        const { distance, dim } = readRow(row[options.column], row[options.dimensionColumn], options);
+        const result = score(distance, dim);
+        row.normalized_distance = result.normalizedDistance;
+        row.null_percentile = result.percentile;
+        row.p_value = result.pValue;
+      } catch (error) {
+        reportError(error.message);
+      }
+      await writeChunk(output, JSON.stringify(row) + '\n');
+      continue;
+    }
+
+    if (header === null) {
+      header = parseCsvLine(line);
+      scoreIndex = header.indexOf(options.column);
+      dimensionIndex = header.indexOf(options.dimensionColumn);
+      if (scoreIndex === -1) throw new Error(`Column "${options.column}" not found in the CSV header`);
+      if (options.dimension === null && dimensionIndex === -1) {
+        throw new Error(`Column "${options.dimensionColumn}" not found in the CSV header; pass --dimension instead`);
+      }
+      await writeChunk(output, csvLine([...header, ...EXTRA_COLUMNS]) + '\n');
+      continue;
+    }
+
+    let extra = ['', '', ''];
+    try {
+      const fields = parseCsvLine(line);
+      const { distance, dim } = readRow(fields[scoreIndex], fields[dimensionIndex], options);
+      const result = score(distance, dim);
+      extra = [result.normalizedDistance, result.percentile, result.pValue];
+    } catch (error) {
+      reportError(error.message);
+    }
+    await writeChunk(output, line + ',' + csvLine(extra) + '\n');
+  }
+
+  await closeOutput(output);
+  if (errorCount > MAX_REPORTED_ERRORS) {
+    process.stderr.write(`${errorCount} rows could not be normalized (${errorCount - MAX_REPORTED_ERRORS} not shown)\n`);
+  }
+};
@@ -0,0 +1,60 @@
+/* eslint-env node */
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it } from 'vitest';
+
+const BIN = new URL('../../bin/cosine-metric.js', import.meta.url).pathname;
+const directory = mkdtempSync(join(tmpdir(), 'cosine-normalize-'));
+
+// Run `cosine-metric normalize` with `input` on stdin
+const normalize = (args, input = '') => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, 'normalize', ...args], { input, encoding: 'utf8' });
+  return { status, stdout, stderr };
+};
+
+const writeJson = (name, value) => {
+  const file = join(directory, name);
+  writeFileSync(file, JSON.stringify(value));
+  return file;
+};
+
+describe('cosine-metric normalize', () => {
+  it('adds the normalized distance, percentile and p-value to CSV rows', () => {
+    const { status, stdout } = normalize(['--dimension', '768'], 'id,distance\na,1\n');
+    expect(status).toBe(0);
+    const [header, row] = stdout.trim().split('\n');
+    expect(header).toBe('id,distance,normalized_distance,null_percentile,p_value');
+    expect(row.split(',')[2]).toBe('1');
+  });
+
+  it('reports JSONL rows that are not objects and passes them through', () => {
+    const { status, stdout, stderr } = normalize(['--format', 'jsonl'], 'null\n[1]\n{"distance":1,"dimension":64}\n');
+    expect(status).toBe(0);
+    expect(stderr).toBe('Line 1: the row is not a JSON object\nLine 2: the row is not a JSON object\n');
+    expect(stdout.split('\n').slice(0, 2)).toEqual(['null', '[1]']);
+    expect(JSON.parse(stdout.split('\n')[2]).normalized_distance).toBe(1);
+  });
+
+  it('requires a calibration table for the calibrated strategy', () => {
+    const { status, stderr } = normalize(['-N', 'calibrated', '--dimension', '64'], 'distance\n1\n');
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/needs --calibration/);
+  });
+
+  it('rejects a malformed calibration table before reading any row', () => {
+    const file = writeJson('bad.json', { factors: [{ dimension: 64 }] });
+    const { status, stdout, stderr } = normalize(['-N', 'calibrated', '--calibration', file, '--dimension', '64'], 'distance\n1\n');
+    expect(status).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toMatch(/scalingFactor/);
+  });
+
+  it('scales with the calibration table', () => {
+    const file = writeJson('good.json', { factors: [{ dimension: 64, scalingFactor: 4 }] });
+    const { status, stdout } = normalize(['-N', 'calibrated', '--calibration', file, '--dimension', '64'], 'distance\n1.25\n');
+    expect(status).toBe(0);
+    expect(Number(stdout.trim().split('\n')[1].split(',')[1])).toBe(2);
+  });
+});
@@ -0,0 +1,24 @@
+/* eslint-env node */
+import { createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+
+// Output streams shared by the CLI commands
+
+// Writable stream for `--output`, or stdout when no file is given
+export const openOutput = (file) => (file ? createWriteStream(file) : process.stdout);
+
+// Write a chunk, waiting for the stream to drain when its buffer is full so large outputs
+// do not pile up in memory
+export const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+// Finish writing to an output opened with openOutput; stdout stays open
+export const closeOutput = (stream) => new Promise((resolve, reject) => {
+  if (stream === process.stdout) {
+    resolve();
+    return;
+  }
+  stream.on('error', reject);
+  stream.end(resolve);
+});
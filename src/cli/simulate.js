@@ -0,0 +1,198 @@
+/* eslint-env node */
+import { parseArgs } from 'node:util';
+import { simulateDimension, DEFAULT_DIMENSIONS, MIN_DIMENSION, getMaxDimension, SAMPLING_MODES } from '../lib/simulation.js';
+import { getNormalizationStrategy, DEFAULT_NORMALIZATION } from '../lib/normalization.js';
+import { getGenerator, resolveGeneratorOptions, GENERATORS, DEFAULT_GENERATOR } from '../lib/generators.js';
+import { parseSeed, DEFAULT_SEED } from '../lib/random.js';
+import { histogramDensity } from '../lib/stats.js';
+import { toCsv } from './csv.js';
+import { openOutput, closeOutput } from './output.js';
+import { checkCalibrationOption, readCalibration } from './calibration.js';
+
+export const SIMULATE_USAGE = `Usage: cosine-metric simulate [options]
+
+Simulate cosine distances between random vectors and report per-dimension statistics.
+
+Options:
+  -d, --dimensions <list>     Comma-separated dimensions (default: ${DEFAULT_DIMENSIONS.join(',')})
+  -n, --samples <n>           Samples per dimension: auto, adaptive or a count (default: auto)
+  -s, --seed <seed>           Unsigned 32-bit seed (default: ${DEFAULT_SEED})
+  -m, --mode <mode>           Sampling mode: ${SAMPLING_MODES.join(' or ')} (default: vector)
+  -g, --generator <id>        Vector generator: ${Object.keys(GENERATORS).join(', ')} (default: ${DEFAULT_GENERATOR})
+  -G, --generator-option <name=value>
+                              Generator parameter, repeatable (e.g. -G exponent=1.5 -G commonDirection=0.3)
+  -N, --normalization <id>    Normalization strategy for the normalized columns (default: ${DEFAULT_NORMALIZATION})
+      --calibration <file>    Calibration table (JSON) for the calibrated strategy
+  -f, --format <format>       csv or json (default: csv)
+  -t, --table <table>         CSV table: statistics or histograms (default: statistics)
+  -o, --output <file>         Write to a file instead of stdout
+  -q, --quiet                 Do not report progress on stderr
+  -h, --help                  Show this help
+`;
+
+// Columns of the statistics table, in output order
+const STATISTICS_COLUMNS = [
+  'dimension', 'sample_size', 'seed', 'mode', 'generator', 'generator_options', 'normalization',
+  'original_mean', 'original_std', 'theoretical_std', 'ratio', 'skewness', 'kurtosis',
+  'p01', 'p50', 'p99', 'std_ci_lower', 'std_ci_upper', 'normalized_mean', 'normalized_std'
+];
+
+const HISTOGRAM_COLUMNS = ['dimension', 'series', 'bin_start', 'bin_end', 'count', 'density'];
+
+// Parse and validate the simulate options; throws with a readable message on bad input
+const parseOptions = (args) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      dimensions: { type: 'string', short: 'd' },
+      samples: { type: 'string', short: 'n', default: 'auto' },
+      seed: { type: 'string', short: 's', default: String(DEFAULT_SEED) },
+      mode: { type: 'string', short: 'm', default: 'vector' },
+      generator: { type: 'string', short: 'g', default: DEFAULT_GENERATOR },
+      'generator-option': { type: 'string', short: 'G', multiple: true, default: [] },
+      normalization: { type: 'string', short: 'N', default: DEFAULT_NORMALIZATION },
+      calibration: { type: 'string' },
+      format: { type: 'string', short: 'f', default: 'csv' },
+      table: { type: 'string', short: 't', default: 'statistics' },
+      output: { type: 'string', short: 'o' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) return { help: true };
+
+  if (!SAMPLING_MODES.includes(values.mode)) {
+    throw new Error(`Unknown mode "${values.mode}". Available: ${SAMPLING_MODES.join(', ')}`);
+  }
+  const maxDimension = getMaxDimension(values.mode);
+  const dimensions = values.dimensions
+    ? values.dimensions.split(',').map(text => Number(text.trim()))
+    : DEFAULT_DIMENSIONS;
+  dimensions.forEach(dim => {
+    if (!Number.isInteger(dim) || dim < MIN_DIMENSION || dim > maxDimension) {
+      throw new Error(`Dimensions must be whole numbers between ${MIN_DIMENSION} and ${maxDimension} (${values.mode} mode)`);
+    }
+  });
+
+  let sampleSize = values.samples;
+  if (sampleSize !== 'auto' && sampleSize !== 'adaptive') {
+    sampleSize = Number(sampleSize);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1) {
+      throw new Error('--samples must be auto, adaptive or a positive whole number');
+    }
+  }
+
+  const seed = parseSeed(values.seed);
+  if (seed === null) throw new Error('--seed must be an unsigned 32-bit integer');
+  const generatorOptions = {};
+  values['generator-option'].forEach(option => {
+    const match = /^([^=]+)=(.*)$/.exec(option);
+    if (!match || match[2].trim() === '' || !Number.isFinite(Number(match[2]))) {
+      throw new Error(`--generator-option must look like name=number, got "${option}"`);
+    }
+    generatorOptions[match[1].trim()] = Number(match[2]);
+  });
+  resolveGeneratorOptions(getGenerator(values.generator), generatorOptions);
+  getNormalizationStrategy(values.normalization);
+  checkCalibrationOption(values.normalization, values.calibration);
+  if (!['csv', 'json'].includes(values.format)) throw new Error('--format must be csv or json');
+  if (!['statistics', 'histograms'].includes(values.table)) throw new Error('--table must be statistics or histograms');
+
+  return {
+    dimensions,
+    settings: { sampleSize, seed, mode: values.mode, generator: values.generator, generatorOptions },
+    normalization: values.normalization,
+    calibration: values.calibration,
+    format: values.format,
+    table: values.table,
+    output: values.output,
+    quiet: values.quiet
+  };
+};
+
+// Flatten the statistics of one dimension into a statistics table row
+const statisticsRow = (statistics, normalization) => ({
+  dimension: statistics.dimension,
+  sample_size: statistics.sampleSize,
+  seed: statistics.seed,
+  mode: statistics.mode,
+  generator: statistics.generator,
+  generator_options: Object.entries(statistics.generatorOptions).map(([name, value]) => `${name}=${value}`).join(';'),
+  normalization,
+  original_mean: statistics.originalMean,
+  original_std: statistics.originalStd,
+  theoretical_std: statistics.theoreticalStd,
+  ratio: statistics.ratio,
+  skewness: statistics.skewness,
+  kurtosis: statistics.kurtosis,
+  p01: statistics.quantiles.p01,
+  p50: statistics.quantiles.p50,
+  p99: statistics.quantiles.p99,
+  std_ci_lower: statistics.stdInterval.lower,
+  std_ci_upper: statistics.stdInterval.upper,
+  normalized_mean: statistics.normalized[normalization].mean,
+  normalized_std: statistics.normalized[normalization].std
+});
+
+// Histogram bins of one series as rows with bin edges, raw counts and densities
+const histogramRows = (dimension, series, histogram) => {
+  const binSize = (histogram.max - histogram.min) / histogram.binCount;
+  return histogramDensity(histogram).map((point, i) => ({
+    dimension,
+    series,
+    bin_start: histogram.min + i * binSize,
+    bin_end: histogram.min + (i + 1) * binSize,
+    count: histogram.counts[i],
+    density: point.count
+  }));
+};
+
+// `cosine-metric simulate`: run the simulation for every dimension and write the results
+export const runSimulate = async (args) => {
+  const options = parseOptions(args);
+  if (options.help) {
+    process.stdout.write(SIMULATE_USAGE);
+    return;
+  }
+  const { dimensions, normalization } = options;
+  const settings = options.calibration
+    ? { ...options.settings, calibration: await readCalibration(options.calibration) }
+    : options.settings;
+
+  const results = dimensions.map((dim, dimIndex) => {
+    const result = simulateDimension(dim, settings, {
+      onProgress: ({ completed, expected }) => {
+        if (options.quiet) return;
+        process.stderr.write(`\rDimension ${dim} (${dimIndex + 1}/${dimensions.length}): ${completed.toLocaleString()} / ${expected.toLocaleString()} samples`);
+      }
+    });
+    if (!options.quiet) process.stderr.write('\n');
+    return result;
+  });
+
+  let text;
+  if (options.format === 'json') {
+    text = JSON.stringify({
+      settings: { ...settings, normalization },
+      dimensions: results.map(({ statistics, distributions }) => ({
+        statistics,
+        histograms: {
+          original: histogramRows(statistics.dimension, 'original', distributions.original.histogram),
+          normalized: histogramRows(statistics.dimension, normalization, distributions.normalized[normalization].histogram)
+        }
+      }))
+    }, null, 2) + '\n';
+  } else if (options.table === 'histograms') {
+    const rows = results.flatMap(({ statistics, distributions }) => [
+      ...histogramRows(statistics.dimension, 'original', distributions.original.histogram),
+      ...histogramRows(statistics.dimension, normalization, distributions.normalized[normalization].histogram)
+    ]);
+    text = toCsv(rows, HISTOGRAM_COLUMNS);
+  } else {
+    text = toCsv(results.map(({ statistics }) => statisticsRow(statistics, normalization)), STATISTICS_COLUMNS);
+  }
+
+  const output = openOutput(options.output);
+  output.write(text);
+  await closeOutput(output);
+};
@@ -0,0 +1,41 @@
+/* eslint-env node */
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it } from 'vitest';
+
+const BIN = new URL('../../bin/cosine-metric.js', import.meta.url).pathname;
+
+// Run `cosine-metric simulate` quietly and return its exit status and output
+const simulate = (args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, 'simulate', '--quiet', ...args], { encoding: 'utf8' });
+  return { status, stdout, stderr };
+};
+
+describe('cosine-metric simulate', () => {
+  it('writes one statistics row per dimension', () => {
+    const { status, stdout } = simulate(['-d', '16,64', '-n', '2000', '-m', 'fast']);
+    expect(status).toBe(0);
+    const rows = stdout.trim().split('\n');
+    expect(rows).toHaveLength(3);
+    expect(rows.slice(1).map(row => row.split(',')[0])).toEqual(['16', '64']);
+  });
+
+  it('requires a calibration table for the calibrated strategy', () => {
+    const { status, stderr } = simulate(['-d', '16', '-n', '1000', '-N', 'calibrated']);
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/needs --calibration/);
+  });
+
+  it('normalizes with the calibration table', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'cosine-simulate-')), 'calibration.json');
+    writeFileSync(file, JSON.stringify({ factors: [{ dimension: 64, scalingFactor: 16 }] }));
+    const { status, stdout } = simulate(['-d', '64', '-n', '20000', '-m', 'fast', '-N', 'calibrated', '--calibration', file, '-f', 'json']);
+    expect(status).toBe(0);
+    const { statistics } = JSON.parse(stdout).dimensions[0];
+    // Twice the √d factor, so twice the unit spread
+    expect(statistics.normalized.calibrated.std).toBeGreaterThan(1.9);
+    expect(statistics.normalized.calibrated.std).toBeLessThan(2.1);
+  });
+});
@@ -0,0 +1,62 @@
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
+
+// Density chart shared by every distribution view: one line per series (histogram densities
+// as [{ x, count }] points, or any other dataKey), plus vertical markers and shaded bands.
+//
+// series:  [{ id, name, color, data, dataKey = 'count', dashed, width, legend }] (legend: false hides it)
+// markers: [{ x, color, label, labelPosition, fontSize, dashed, width }]
+// bands:   [{ x1, x2, color, opacity }]
+const DistributionChart = ({ series, domain, xLabel, tooltipLabel = xLabel, markers = [], bands = [] }) => (
+  <ResponsiveContainer width="100%" height="100%">
+    <LineChart
+      margin={{ top: 5, right: 30, left: 10, bottom: 25 }}
+    >
+      <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.5} />
+      <XAxis 
+        type="number" 
+        dataKey="x" 
+        domain={domain} 
+        tickFormatter={(tick) => +tick.toFixed(3)}
+        label={{ value: xLabel, position: 'insideBottom', offset: -5, fontSize: 12 }}
+      />
+      <YAxis 
+        label={{ value: 'Density', angle: -90, position: 'insideLeft', fontSize: 12 }}
+      />
+      <Tooltip 
+        formatter={(value) => value.toFixed(4)} 
+        labelFormatter={(label) => `${tooltipLabel}: ${parseFloat(label).toFixed(2)}`}
+        contentStyle={{ fontSize: '12px' }}
+      />
+      <Legend wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} verticalAlign="bottom" height={36} />
+      {bands.map((band, i) => (
+        <ReferenceArea key={`band-${i}`} x1={band.x1} x2={band.x2} fill={band.color} fillOpacity={band.opacity || 0.15} />
+      ))}
+      {series.map(s => (
+        <Line 
+          key={s.id}
+          data={s.data} 
+          type="monotone" 
+          dataKey={s.dataKey || 'count'} 
+          stroke={s.color}
+          strokeWidth={s.width || (s.dashed ? 1.5 : 2)}
+          strokeDasharray={s.dashed ? '5 5' : undefined}
+          dot={s.dashed ? false : undefined}
+          legendType={s.legend === false ? 'none' : undefined}
+          name={s.name}
+        />
+      ))}
+      {markers.map((marker, i) => (
+        <ReferenceLine
+          key={`marker-${i}`}
+          x={marker.x}
+          stroke={marker.color}
+          strokeWidth={marker.width || 1}
+          strokeDasharray={marker.dashed ? '3 3' : undefined}
+          label={marker.label ? { value: marker.label, position: marker.labelPosition || 'top', fontSize: marker.fontSize || 12 } : undefined}
+        />
+      ))}
+    </LineChart>
+  </ResponsiveContainer>
+);
+
+export default DistributionChart;
@@ -0,0 +1,129 @@
+import { sampleVecs, readVecs } from './vecs.js';
+import { createRandom, deriveSeed, DEFAULT_SEED } from './random.js';
+import { sampleDistances, MIN_DIMENSION } from './simulation.js';
+
+// ANN-benchmark sets (base vectors, optional query vectors and ground-truth neighbor ids):
+// query-to-base cosine distances compared with the distances to the true nearest neighbors.
+
+// How much of a benchmark is kept in memory: a uniform sample of base vectors and queries,
+// and the first few ground-truth neighbors of each kept query
+export const DEFAULT_BENCHMARK_LIMITS = { baseVectors: 20000, queries: 1000, neighbors: 10 };
+
+// 1 / ||row|| for the row of `dimension` values at `offset`, or 0 for an all-zero row
+const inverseNorm = (data, offset, dimension) => {
+  let sumSquared = 0;
+  for (let k = offset; k < offset + dimension; k++) sumSquared += data[k] * data[k];
+  return sumSquared > 0 ? 1 / Math.sqrt(sumSquared) : 0;
+};
+
+const cosineDistance = (a, aOffset, b, bOffset, dimension) => {
+  let dotProduct = 0;
+  for (let k = 0; k < dimension; k++) dotProduct += a[aOffset + k] * b[bOffset + k];
+  return 1.0 - dotProduct * inverseNorm(a, aOffset, dimension) * inverseNorm(b, bOffset, dimension);
+};
+
+// Read a benchmark from Blobs { base, queries, groundTruth, baseFormat, queryFormat } (only the
+// base is required). Files are streamed once each; `onProgress({ phase, fraction })` reports
+// the file being read. Returns the sampled vectors and, per kept query, its neighbors' vectors.
+export const loadAnnBenchmark = async (files, { seed = DEFAULT_SEED, limits = DEFAULT_BENCHMARK_LIMITS, onProgress } = {}) => {
+  const { baseVectors, queries: maxQueries, neighbors: maxNeighbors } = { ...DEFAULT_BENCHMARK_LIMITS, ...limits };
+  const progress = (phase) => (done, total) => {
+    if (onProgress) onProgress({ phase, fraction: done / total });
+  };
+  if (files.groundTruth && !files.queries) throw new Error('Ground-truth neighbors need the query vectors they belong to');
+
+  let queries = null;
+  if (files.queries) {
+    queries = await sampleVecs(files.queries, files.queryFormat, {
+      limit: maxQueries,
+      random: createRandom(deriveSeed(seed, 'benchmark-queries')),
+      onProgress: progress('queries')
+    });
+  }
+
+  // Ground-truth rows follow the query order; keep the first neighbors of the sampled queries
+  const neighborIds = new Map();
+  if (files.groundTruth) {
+    const rowOf = new Map(queries.indices.map((queryIndex, row) => [queryIndex, row]));
+    await readVecs(files.groundTruth, 'ivecs', (queryIndex, ids) => {
+      if (rowOf.has(queryIndex)) neighborIds.set(rowOf.get(queryIndex), Array.from(ids.subarray(0, maxNeighbors)));
+    }, { onProgress: progress('ground truth') });
+    if (neighborIds.size === 0) throw new Error('The ground-truth file has no rows for the loaded queries');
+  }
+
+  const keep = new Set();
+  neighborIds.forEach(ids => ids.forEach(id => keep.add(id)));
+  const base = await sampleVecs(files.base, files.baseFormat, {
+    limit: baseVectors,
+    random: createRandom(deriveSeed(seed, 'benchmark-base')),
+    keep,
+    onProgress: progress('base')
+  });
+
+  if (base.dimension < MIN_DIMENSION) throw new Error(`Vectors need at least ${MIN_DIMENSION} dimensions`);
+  if (queries && queries.dimension !== base.dimension) {
+    throw new Error(`Query vectors have dimension ${queries.dimension}, base vectors ${base.dimension}`);
+  }
+  if (!queries && base.count < 2) throw new Error('Need at least 2 base vectors to form pairs');
+  const missing = [...keep].filter(id => !base.kept.has(id));
+  if (missing.length > 0) throw new Error(`Ground truth refers to base vector ${missing[0]}, beyond the ${base.count} in the base file`);
+
+  return {
+    dimension: base.dimension,
+    baseCount: base.count,
+    queryCount: queries ? queries.count : 0,
+    base,
+    queries,
+    neighbors: neighborIds.size > 0
+      ? [...neighborIds].map(([row, ids]) => ({ row, vectors: ids.map(id => base.kept.get(id)) }))
+      : null
+  };
+};
+
+// Summarize a loaded benchmark with the statistics of simulateDimension: cosine distances from
+// queries to random base vectors (or between random base vectors without queries), and from
+// queries to their ground-truth neighbors when available. All-zero vectors are skipped.
+export const sampleAnnBenchmark = (benchmark, settings = {}, { onProgress } = {}) => {
+  const { dimension, base, queries, neighbors } = benchmark;
+  const random = createRandom(deriveSeed(settings.seed === undefined ? DEFAULT_SEED : settings.seed, 'benchmark-pairs'));
+  const from = queries || base;
+  const rowsOf = (data) => {
+    const rows = [];
+    for (let offset = 0; offset < data.length; offset += dimension) {
+      if (inverseNorm(data, offset, dimension) > 0) rows.push(offset);
+    }
+    return rows;
+  };
+  const baseRows = rowsOf(base.data);
+  const fromRows = queries ? rowsOf(queries.data) : baseRows;
+  if (baseRows.length === 0 || fromRows.length === 0 || (!queries && baseRows.length < 2)) {
+    throw new Error('Not enough non-zero vectors to form pairs');
+  }
+
+  const drawRandomPair = () => {
+    const i = fromRows[Math.floor(random() * fromRows.length)];
+    let j = baseRows[Math.floor(random() * baseRows.length)];
+    while (!queries && j === i) j = baseRows[Math.floor(random() * baseRows.length)];
+    return cosineDistance(from.data, i, base.data, j, dimension);
+  };
+  const randomPairs = sampleDistances(dimension, drawRandomPair, settings, {
+    onProgress: onProgress && ((partial) => onProgress({ phase: 'random pairs', fraction: partial.completed / partial.expected }))
+  });
+
+  let groundTruth = null;
+  if (neighbors) {
+    const distances = [];
+    neighbors.forEach(({ row, vectors }) => {
+      if (inverseNorm(queries.data, row * dimension, dimension) === 0) return;
+      vectors
+        .filter(vector => inverseNorm(vector, 0, dimension) > 0)
+        .forEach(vector => distances.push(cosineDistance(queries.data, row * dimension, vector, 0, dimension)));
+    });
+    if (distances.length > 0) {
+      let next = 0;
+      groundTruth = sampleDistances(dimension, () => distances[next++], { ...settings, sampleSize: distances.length });
+    }
+  }
+
+  return { random: randomPairs, groundTruth };
+};
@@ -0,0 +1,67 @@
+// Line-oriented text parsing shared by the file importers and the command-line tool
+
+// Bytes read from a Blob at a time
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Split one CSV or TSV line into its fields. Quoted fields may contain the delimiter and
+// doubled quotes, but not line breaks, so files can be streamed line by line.
+export const parseDelimitedLine = (line, delimiter = ',') => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('unterminated quoted field');
+  fields.push(field);
+  return fields;
+};
+
+// Call `onLine(line, lineNumber)` for every line of a UTF-8 text Blob, with line numbers
+// starting at 1 and line endings (\n or \r\n) removed. The file is decoded in chunks, so it
+// never has to fit in memory as a single string. `onProgress(bytesRead, total)` is called
+// after each chunk.
+export const readLines = async (blob, onLine, { onProgress } = {}) => {
+  const decoder = new TextDecoder('utf-8');
+  let pending = '';
+  let lineNumber = 0;
+
+  const emit = (line) => {
+    lineNumber++;
+    onLine(line.endsWith('\r') ? line.slice(0, -1) : line, lineNumber);
+  };
+
+  for (let start = 0; start < blob.size; start += CHUNK_SIZE) {
+    const chunk = new Uint8Array(await blob.slice(start, start + CHUNK_SIZE).arrayBuffer());
+    const text = pending + decoder.decode(chunk, { stream: true });
+    let lineStart = 0;
+    let newline = text.indexOf('\n');
+    while (newline !== -1) {
+      emit(text.slice(lineStart, newline));
+      lineStart = newline + 1;
+      newline = text.indexOf('\n', lineStart);
+    }
+    pending = text.slice(lineStart);
+    if (onProgress) onProgress(Math.min(start + CHUNK_SIZE, blob.size), blob.size);
+  }
+  pending += decoder.decode();
+  if (pending.length > 0) emit(pending);
+  return lineNumber;
+};
@@ -0,0 +1,157 @@
+// Exact distribution of cosine similarity between two independent random unit vectors.
+//
+// For uniformly random directions in d dimensions the similarity t has density
+// proportional to (1 - t²)^((d-3)/2) on [-1, 1], i.e. (1 + t) / 2 ~ Beta((d-1)/2, (d-1)/2).
+// Cosine distance is 1 - t, so it follows the same law mirrored around 1.
+
+const LANCZOS_COEFFICIENTS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+// Natural log of the gamma function (Lanczos approximation, x > 0)
+export const logGamma = (x) => {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  for (let i = 0; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (z + i + 1);
+  }
+  const t = z + LANCZOS_COEFFICIENTS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  const maxIterations = 100000;
+  const epsilon = 1e-15;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+
+    // Even step
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    // Odd step
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return h;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+export const regularizedIncompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const logFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log1p(-x);
+
+  // Use the continued fraction where it converges quickly, otherwise the symmetry relation
+  if (x < (a + 1) / (a + b + 2)) {
+    return Math.exp(logFront) * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - Math.exp(logFront) * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+// Shape parameter of the Beta law behind the similarity in dimension `dim`
+const betaShape = (dim) => (dim - 1) / 2;
+
+// Density of cosine similarity t ∈ (-1, 1) between random unit vectors
+export const cosineSimilarityDensity = (t, dim) => {
+  if (t <= -1 || t >= 1) return 0;
+  const logNormalizer = logGamma(dim / 2) - logGamma((dim - 1) / 2) - 0.5 * Math.log(Math.PI);
+  return Math.exp(logNormalizer + ((dim - 3) / 2) * Math.log1p(-t * t));
+};
+
+// P(T <= t) for cosine similarity T between random unit vectors
+export const cosineSimilarityCdf = (t, dim) => {
+  const a = betaShape(dim);
+  return regularizedIncompleteBeta((1 + t) / 2, a, a);
+};
+
+// Density of cosine distance x = 1 - t ∈ (0, 2)
+export const cosineDistanceDensity = (x, dim) => cosineSimilarityDensity(1 - x, dim);
+
+// P(X <= x) for cosine distance X between random unit vectors
+export const cosineDistanceCdf = (x, dim) => {
+  const a = betaShape(dim);
+  return regularizedIncompleteBeta(x / 2, a, a);
+};
+
+// Standard normal CDF via the Numerical Recipes erfc approximation
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+};
+
+// Standard normal quantile (Acklam's rational approximation, relative error below 1.15e-9)
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Cosine distance x with P(X <= x) = p, found by bisection on the exact CDF
+export const cosineDistanceQuantile = (p, dim) => {
+  if (p <= 0) return 0;
+  if (p >= 1) return 2;
+  let lo = 0, hi = 2;
+  for (let i = 0; i < 200 && hi - lo > 1e-15; i++) {
+    const mid = (lo + hi) / 2;
+    if (cosineDistanceCdf(mid, dim) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Variance of cosine similarity (and distance) between random unit vectors: exactly 1/d
+export const cosineSimilarityVariance = (dim) => 1 / dim;
@@ -0,0 +1,110 @@
+import { createRandom, deriveSeed, DEFAULT_SEED } from './random.js';
+import { sampleDistances, MIN_DIMENSION } from './simulation.js';
+
+// Imported embedding matrices: { name, rows, dimension, data, ids, labels } with `data`
+// holding the rows back to back (row-major Float32Array or Float64Array) and `ids` / `labels`
+// one string (or null) per row, or null when the source has no such column.
+
+// Build a matrix from parsed rows of numbers (row-major, all of the same length)
+export const createEmbeddingMatrix = (name, data, rows, dimension, { ids = null, labels = null } = {}) => {
+  if (dimension < MIN_DIMENSION) throw new Error(`Embeddings need at least ${MIN_DIMENSION} dimensions, got ${dimension}`);
+  if (rows < 2) throw new Error(`Need at least 2 vectors to form pairs, got ${rows}`);
+  return { name, rows, dimension, data, ids, labels };
+};
+
+// Rows of each label among `usable`, keeping only labelled rows
+const groupByLabel = (labels, usable) => {
+  const groups = new Map();
+  usable.forEach(i => {
+    if (labels[i] === null) return;
+    if (!groups.has(labels[i])) groups.set(labels[i], []);
+    groups.get(labels[i]).push(i);
+  });
+  return groups;
+};
+
+// Sample random pairs of distinct rows and summarize their cosine distances with the same
+// statistics as simulateDimension. Rows do not need unit length; all-zero rows are skipped.
+//
+// When the rows are labelled with at least two labels, pairs sharing a label and pairs with
+// different labels are also summarized separately, as `labelSplit: { labels, same, different }`.
+// Progress then spans the three runs: `completed` counts finished runs (fractional while
+// sampling) out of `expected` = 3.
+export const simulateEmbeddings = (matrix, settings = {}, { onProgress } = {}) => {
+  const { rows, dimension, data } = matrix;
+  const { seed = DEFAULT_SEED } = settings;
+
+  // Inverse row norms, so each pair costs a single dot product
+  const inverseNorms = new Float64Array(rows);
+  const usable = [];
+  for (let i = 0; i < rows; i++) {
+    let sumSquared = 0;
+    for (let k = i * dimension; k < (i + 1) * dimension; k++) sumSquared += data[k] * data[k];
+    if (sumSquared > 0 && Number.isFinite(sumSquared)) {
+      inverseNorms[i] = 1 / Math.sqrt(sumSquared);
+      usable.push(i);
+    }
+  }
+  if (usable.length < 2) throw new Error('Need at least 2 non-zero vectors to form pairs');
+
+  const distance = (i, j) => {
+    let dotProduct = 0;
+    const a = i * dimension;
+    const b = j * dimension;
+    for (let k = 0; k < dimension; k++) dotProduct += data[a + k] * data[b + k];
+    return 1.0 - dotProduct * inverseNorms[i] * inverseNorms[j];
+  };
+  const pick = (random, rowIndices) => rowIndices[Math.floor(random() * rowIndices.length)];
+
+  const groups = matrix.labels ? groupByLabel(matrix.labels, usable) : new Map();
+  const pairedGroups = [...groups.values()].filter(group => group.length >= 2);
+  const splitByLabel = groups.size >= 2 && pairedGroups.length > 0;
+  const runs = splitByLabel ? 3 : 1;
+  const runProgress = (run) => onProgress && (splitByLabel
+    ? (partial) => onProgress({ ...partial, completed: run + partial.completed / partial.expected, expected: runs })
+    : onProgress);
+
+  const random = createRandom(deriveSeed(seed, 'embeddings', matrix.name));
+  const drawDistance = () => {
+    const i = pick(random, usable);
+    let j = i;
+    while (j === i) j = pick(random, usable);
+    return distance(i, j);
+  };
+
+  const { statistics, distributions } = sampleDistances(dimension, drawDistance, settings, { onProgress: runProgress(0) });
+  const result = {
+    statistics: { ...statistics, seed, source: matrix.name, vectorCount: usable.length },
+    distributions
+  };
+  if (!splitByLabel) return result;
+
+  // Same label: a random row of a label with at least two rows, then another row of that label.
+  // Rows are weighted equally, so large classes dominate as they would in a search index.
+  const pairedRows = pairedGroups.flat();
+  const sameRandom = createRandom(deriveSeed(seed, 'embeddings', matrix.name, 'same-label'));
+  const drawSameLabel = () => {
+    const i = pick(sameRandom, pairedRows);
+    const group = groups.get(matrix.labels[i]);
+    let j = i;
+    while (j === i) j = pick(sameRandom, group);
+    return distance(i, j);
+  };
+
+  // Different labels: two random labelled rows, redrawn until their labels differ
+  const labelledRows = [...groups.values()].flat();
+  const differentRandom = createRandom(deriveSeed(seed, 'embeddings', matrix.name, 'different-label'));
+  const drawDifferentLabel = () => {
+    const i = pick(differentRandom, labelledRows);
+    let j = i;
+    while (matrix.labels[j] === matrix.labels[i]) j = pick(differentRandom, labelledRows);
+    return distance(i, j);
+  };
+
+  result.labelSplit = {
+    labels: groups.size,
+    same: sampleDistances(dimension, drawSameLabel, settings, { onProgress: runProgress(1) }),
+    different: sampleDistances(dimension, drawDifferentLabel, settings, { onProgress: runProgress(2) })
+  };
+  return result;
+};
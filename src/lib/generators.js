@@ -0,0 +1,296 @@
+import { generateRandomUnitVector, normalRandom } from './sampling.js';
+
+// Vector generators the simulation can draw pairs from. Each generator exposes
+// `createSampler(dim, random, options)`, returning a function that yields one unit vector
+// per call. Generators with `supportsFastMode` have a known closed-form similarity law, so
+// fast mode can sample similarities directly instead of building vectors.
+//
+// `parameters` lists the numeric options a generator takes ({ id, label, min, max, step,
+// default, integer }, where `integer` marks counts); see resolveGeneratorOptions. Spectrum generators also expose
+// `spectrum(dim, options)`, the eigenvalues of their covariance. The sparse, non-negative and
+// binary generators draw non-Gaussian vectors, normalized to unit length like the others.
+
+// Weight w of a fixed direction u shared by every vector: each vector is w·u + √(1-w²)·g/|g|,
+// so random pairs have a mean similarity of about w², as embeddings of one model do
+const COMMON_DIRECTION_PARAMETER = {
+  id: 'commonDirection',
+  label: 'Common direction weight',
+  min: 0,
+  max: 0.95,
+  step: 0.05,
+  default: 0
+};
+
+// Sampler for a centered Gaussian with diagonal covariance `spectrum`, plus the common
+// direction u = (1, ..., 1)/√d. Cosine distances do not change under rotations, so a
+// diagonal covariance covers every covariance with the same eigenvalues.
+const createSpectrumSampler = (spectrum, commonDirection, random) => {
+  const dim = spectrum.length;
+  const scales = spectrum.map(Math.sqrt);
+  const shared = commonDirection / Math.sqrt(dim);
+  const spread = Math.sqrt(1 - commonDirection * commonDirection);
+
+  return () => {
+    const vector = new Float64Array(dim);
+    let sumSquared = 0;
+    for (let i = 0; i < dim; i++) {
+      const val = scales[i] * normalRandom(random);
+      vector[i] = val;
+      sumSquared += val * val;
+    }
+
+    // Mix the Gaussian direction with the common direction, then normalize to unit length
+    const gaussianScale = sumSquared > 0 ? spread / Math.sqrt(sumSquared) : 0;
+    let normSquared = 0;
+    for (let i = 0; i < dim; i++) {
+      vector[i] = vector[i] * gaussianScale + shared;
+      normSquared += vector[i] * vector[i];
+    }
+    const magnitude = Math.sqrt(normSquared);
+    for (let i = 0; i < dim; i++) {
+      vector[i] /= magnitude;
+    }
+    return vector;
+  };
+};
+
+// Wrap `draw()`, which fills a fresh vector, so every call returns it scaled to unit length.
+// All-zero draws (possible for sparse and binary vectors) have no direction and are redrawn.
+const createUnitSampler = (draw) => () => {
+  for (;;) {
+    const vector = draw();
+    let sumSquared = 0;
+    for (let i = 0; i < vector.length; i++) sumSquared += vector[i] * vector[i];
+    if (sumSquared > 0) {
+      const magnitude = Math.sqrt(sumSquared);
+      for (let i = 0; i < vector.length; i++) vector[i] /= magnitude;
+      return vector;
+    }
+  }
+};
+
+// Generator drawing non-Gaussian vectors with `draw(dim, random, options)`, normalized to unit length
+const vectorGenerator = ({ parameters = [], draw, ...generator }) => {
+  const entry = {
+    ...generator,
+    supportsFastMode: false,
+    parameters,
+    createSampler: (dim, random, options = {}) => {
+      const resolved = resolveGeneratorOptions(entry, options);
+      return createUnitSampler(draw(dim, random, resolved));
+    }
+  };
+  return entry;
+};
+
+// Sampler of `count` distinct positions out of `dim`, by a partial Fisher-Yates shuffle of a
+// permutation kept between calls (any permutation works as a starting point)
+const createPositionSampler = (dim, count, random) => {
+  const positions = Uint32Array.from({ length: dim }, (_, i) => i);
+  return () => {
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (dim - i));
+      const position = positions[j];
+      positions[j] = positions[i];
+      positions[i] = position;
+    }
+    return positions.subarray(0, count);
+  };
+};
+
+// Token sampler for a Zipf law with exponent `exponent` over `dim` terms, by binary search on
+// its CDF. Returns the sampler and the term probabilities.
+const createZipfSampler = (dim, exponent, random) => {
+  const probabilities = Float64Array.from({ length: dim }, (_, i) => Math.pow(i + 1, -exponent));
+  const total = probabilities.reduce((sum, p) => sum + p, 0);
+  const cdf = new Float64Array(dim);
+  let cumulative = 0;
+  for (let i = 0; i < dim; i++) {
+    probabilities[i] /= total;
+    cumulative += probabilities[i];
+    cdf[i] = cumulative;
+  }
+  const sample = () => {
+    const u = random() * cumulative;
+    let lo = 0, hi = dim - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] < u) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+  return { sample, probabilities };
+};
+
+// Generator drawing Gaussian vectors with the covariance eigenvalues `spectrum(dim, options)`
+const spectrumGenerator = ({ parameters, spectrum, ...generator }) => {
+  const entry = {
+    ...generator,
+    supportsFastMode: false,
+    parameters: [...parameters, COMMON_DIRECTION_PARAMETER],
+    spectrum,
+    createSampler: (dim, random, options = {}) => {
+      const resolved = resolveGeneratorOptions(entry, options);
+      return createSpectrumSampler(spectrum(dim, resolved), resolved.commonDirection, random);
+    }
+  };
+  return entry;
+};
+
+export const GENERATORS = {
+  isotropic: {
+    id: 'isotropic',
+    label: 'Isotropic Gaussian',
+    description: 'Uniformly random directions (normalized standard Gaussian vectors)',
+    supportsFastMode: true,
+    parameters: [],
+    createSampler: (dim, random) => () => generateRandomUnitVector(dim, random)
+  },
+  'power-law': spectrumGenerator({
+    id: 'power-law',
+    label: 'Power-law spectrum',
+    description: 'Eigenvalues decay as i^(-α), like the spectra of trained embedding models',
+    parameters: [{ id: 'exponent', label: 'Decay exponent α', min: 0, max: 3, step: 0.1, default: 1 }],
+    spectrum: (dim, { exponent }) => Float64Array.from({ length: dim }, (_, i) => Math.pow(i + 1, -exponent))
+  }),
+  exponential: spectrumGenerator({
+    id: 'exponential',
+    label: 'Exponential spectrum',
+    description: 'Eigenvalues decay as exp(-β·i/d), a shape that stays the same in every dimension',
+    parameters: [{ id: 'rate', label: 'Decay rate β', min: 0, max: 20, step: 0.5, default: 5 }],
+    spectrum: (dim, { rate }) => Float64Array.from({ length: dim }, (_, i) => Math.exp(-rate * i / dim))
+  }),
+  'low-rank': spectrumGenerator({
+    id: 'low-rank',
+    label: 'Low rank plus noise',
+    description: 'A signal spread over a few directions, plus isotropic noise holding a share of the variance',
+    parameters: [
+      { id: 'rank', label: 'Rank', min: 1, max: 256, step: 1, default: 16, integer: true },
+      { id: 'noise', label: 'Noise share', min: 0, max: 1, step: 0.05, default: 0.1 }
+    ],
+    spectrum: (dim, { rank, noise }) => {
+      const signalRank = Math.min(rank, dim);
+      return Float64Array.from({ length: dim }, (_, i) => (i < signalRank ? (1 - noise) / signalRank : 0) + noise / dim);
+    }
+  }),
+  spike: spectrumGenerator({
+    id: 'spike',
+    label: 'Spiked spectrum',
+    description: 'Isotropic except for one direction holding a share of the total variance',
+    parameters: [{ id: 'share', label: 'Variance share of the spike', min: 0, max: 0.95, step: 0.05, default: 0.3 }],
+    spectrum: (dim, { share }) => {
+      return Float64Array.from({ length: dim }, (_, i) => (i === 0 ? share * (dim - 1) / (1 - share) : 1));
+    }
+  }),
+  sparse: vectorGenerator({
+    id: 'sparse',
+    label: 'Sparse Gaussian',
+    description: 'Gaussian values at a fixed number of random positions, zeros elsewhere',
+    parameters: [{ id: 'nonZeros', label: 'Non-zeros (at most d)', min: 1, max: 1024, step: 1, default: 16, integer: true }],
+    draw: (dim, random, { nonZeros }) => {
+      const samplePositions = createPositionSampler(dim, Math.min(nonZeros, dim), random);
+      return () => {
+        const vector = new Float64Array(dim);
+        samplePositions().forEach(position => { vector[position] = normalRandom(random); });
+        return vector;
+      };
+    }
+  }),
+  relu: vectorGenerator({
+    id: 'relu',
+    label: 'ReLU Gaussian',
+    description: 'Non-negative max(0, z + b) of Gaussian z; a negative bias b makes the vectors sparser',
+    parameters: [{ id: 'bias', label: 'Bias b', min: -2, max: 2, step: 0.1, default: 0 }],
+    draw: (dim, random, { bias }) => () => {
+      const vector = new Float64Array(dim);
+      for (let i = 0; i < dim; i++) vector[i] = Math.max(0, normalRandom(random) + bias);
+      return vector;
+    }
+  }),
+  tfidf: vectorGenerator({
+    id: 'tfidf',
+    label: 'TF-IDF-like counts',
+    description: 'Documents of random tokens from a Zipf vocabulary of d terms, weighted by (1 + log tf) × idf',
+    parameters: [
+      { id: 'documentLength', label: 'Tokens per document', min: 1, max: 1000, step: 1, default: 100, integer: true },
+      { id: 'exponent', label: 'Zipf exponent', min: 0, max: 2, step: 0.1, default: 1.1 }
+    ],
+    draw: (dim, random, { documentLength, exponent }) => {
+      const zipf = createZipfSampler(dim, exponent, random);
+      // idf from the expected share of documents containing each term
+      const idf = zipf.probabilities.map(p => 1 - Math.log(-Math.expm1(documentLength * Math.log1p(-Math.min(p, 1 - 1e-12)))));
+      return () => {
+        const counts = new Float64Array(dim);
+        for (let t = 0; t < documentLength; t++) counts[zipf.sample()]++;
+        for (let i = 0; i < dim; i++) {
+          if (counts[i] > 0) counts[i] = (1 + Math.log(counts[i])) * idf[i];
+        }
+        return counts;
+      };
+    }
+  }),
+  binary: vectorGenerator({
+    id: 'binary',
+    label: 'Binary {0, 1}',
+    description: 'Each component is 1 with a given probability, else 0',
+    parameters: [{ id: 'density', label: 'Share of ones', min: 0.01, max: 1, step: 0.01, default: 0.5 }],
+    draw: (dim, random, { density }) => () => {
+      const vector = new Float64Array(dim);
+      for (let i = 0; i < dim; i++) vector[i] = random() < density ? 1 : 0;
+      return vector;
+    }
+  }),
+  sign: vectorGenerator({
+    id: 'sign',
+    label: 'Random signs ±1',
+    description: 'Each component is +1 or -1 with equal probability',
+    draw: (dim, random) => () => Float64Array.from({ length: dim }, () => (random() < 0.5 ? -1 : 1))
+  })
+};
+
+export const DEFAULT_GENERATOR = 'isotropic';
+
+// Look up a generator by id, failing loudly on typos in settings or CLI flags
+export const getGenerator = (id = DEFAULT_GENERATOR) => {
+  if (!Object.hasOwn(GENERATORS, id)) {
+    throw new Error(`Unknown generator "${id}". Available: ${Object.keys(GENERATORS).join(', ')}`);
+  }
+  return GENERATORS[id];
+};
+
+// Options of a generator with defaults filled in. Throws on unknown options, on values
+// outside a parameter's range and on fractional values of integer parameters.
+export const resolveGeneratorOptions = (generator, options = {}) => {
+  const known = generator.parameters.map(parameter => parameter.id);
+  Object.keys(options).forEach(id => {
+    if (!known.includes(id)) {
+      throw new Error(`Unknown option "${id}" for generator "${generator.id}". Available: ${known.join(', ') || 'none'}`);
+    }
+  });
+
+  const resolved = {};
+  generator.parameters.forEach(parameter => {
+    const value = options[parameter.id] === undefined ? parameter.default : options[parameter.id];
+    if (typeof value !== 'number' || !(value >= parameter.min && value <= parameter.max)) {
+      throw new Error(`${parameter.label} of generator "${generator.id}" must be between ${parameter.min} and ${parameter.max}`);
+    }
+    if (parameter.integer && !Number.isInteger(value)) {
+      throw new Error(`${parameter.label} of generator "${generator.id}" must be a whole number`);
+    }
+    resolved[parameter.id] = value;
+  });
+  return resolved;
+};
+
+// Effective number of dimensions of a covariance spectrum, (Σλ)² / Σλ² (the participation
+// ratio). Cosine distances between Gaussian vectors spread about as if the dimension were
+// this value, so it shows how much of the 1/√d concentration a spectrum keeps.
+export const effectiveDimension = (spectrum) => {
+  let sum = 0;
+  let sumSquared = 0;
+  for (let i = 0; i < spectrum.length; i++) {
+    sum += spectrum[i];
+    sumSquared += spectrum[i] * spectrum[i];
+  }
+  return sumSquared > 0 ? (sum * sum) / sumSquared : 0;
+};
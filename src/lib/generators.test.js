@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { GENERATORS, getGenerator, resolveGeneratorOptions } from './generators.js';
+import { createRandom } from './random.js';
+
+describe('resolveGeneratorOptions', () => {
+  const lowRank = getGenerator('low-rank');
+
+  it('fills in defaults', () => {
+    expect(resolveGeneratorOptions(lowRank, { rank: 4 })).toEqual({ rank: 4, noise: 0.1, commonDirection: 0 });
+  });
+
+  it('rejects unknown options and values out of range', () => {
+    expect(() => resolveGeneratorOptions(lowRank, { exponent: 1 })).toThrow(/Unknown option "exponent"/);
+    expect(() => resolveGeneratorOptions(lowRank, { noise: 1.5 })).toThrow(/between 0 and 1/);
+  });
+
+  it('rejects fractional values of integer parameters', () => {
+    expect(() => resolveGeneratorOptions(lowRank, { rank: 2.5 })).toThrow(/Rank .* must be a whole number/);
+    expect(() => resolveGeneratorOptions(getGenerator('sparse'), { nonZeros: 3.5 })).toThrow(/must be a whole number/);
+    expect(() => resolveGeneratorOptions(getGenerator('tfidf'), { documentLength: 10.2 })).toThrow(/must be a whole number/);
+  });
+
+  it('keeps the low-rank variance split for whole ranks', () => {
+    const options = resolveGeneratorOptions(lowRank, { rank: 3, noise: 0.2 });
+    const spectrum = lowRank.spectrum(32, options);
+    expect(spectrum.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1, 12);
+    expect(spectrum.slice(0, 3).reduce((sum, value) => sum + value, 0)).toBeCloseTo(0.8 + 0.2 * 3 / 32, 12);
+  });
+});
+
+describe('generators', () => {
+  it('puts exactly nonZeros non-zero entries in sparse vectors', () => {
+    const sample = getGenerator('sparse').createSampler(100, createRandom(5), { nonZeros: 7 });
+    for (let i = 0; i < 20; i++) expect(sample().filter(x => x !== 0)).toHaveLength(7);
+  });
+
+  it.each(Object.keys(GENERATORS))('%s draws unit vectors', (id) => {
+    const generator = getGenerator(id);
+    const sample = generator.createSampler(64, createRandom(3), resolveGeneratorOptions(generator));
+    for (let i = 0; i < 20; i++) {
+      const vector = sample();
+      expect(vector).toHaveLength(64);
+      expect(vector.reduce((sum, x) => sum + x * x, 0)).toBeCloseTo(1, 10);
+    }
+  });
+});
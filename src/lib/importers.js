@@ -0,0 +1,67 @@
+import { parseNpy, parseNpz } from './npy.js';
+import { sampleVecs } from './vecs.js';
+import { readTextEmbeddings, textFormatOf } from './textEmbeddings.js';
+import { createEmbeddingMatrix } from './embeddings.js';
+import { createRandom, deriveSeed, DEFAULT_SEED } from './random.js';
+import { DEFAULT_BENCHMARK_LIMITS } from './annBenchmark.js';
+
+// File formats the embedding importer understands, by extension
+export const EMBEDDING_FILE_TYPES = ['.npy', '.npz', '.fvecs', '.bvecs', '.csv', '.tsv', '.jsonl'];
+
+// Read an embedding matrix from a File or Blob with a `name`. Returns { matrix, detail, errors,
+// errorCount }, where `detail` describes what was read (dtype, and which array of an archive
+// was used) and `errors` lists rows of text files that were skipped (see readTextEmbeddings).
+// `onProgress(fraction)` reports how much of a streamed file has been read.
+export const importEmbeddingFile = async (file, { onProgress } = {}) => {
+  const name = file.name.replace(/\.[^.]+$/, '');
+  const extension = (/\.[^.]+$/.exec(file.name.toLowerCase()) || [''])[0];
+
+  if (extension === '.npy') {
+    const array = parseNpy(await file.arrayBuffer());
+    return {
+      matrix: createEmbeddingMatrix(name, array.data, array.shape[0], array.shape[1]),
+      detail: `${array.dtype} matrix`
+    };
+  }
+  if (extension === '.npz') {
+    const { arrays, skipped } = await parseNpz(await file.arrayBuffer());
+    // Use the largest matrix in the archive
+    const array = arrays.reduce((largest, a) => (a.data.length > largest.data.length ? a : largest));
+    const others = arrays.length - 1 + skipped.length;
+    return {
+      matrix: createEmbeddingMatrix(`${name}/${array.name}`, array.data, array.shape[0], array.shape[1]),
+      detail: `${array.dtype} array "${array.name}"${others > 0 ? ` (${others} other arrays ignored)` : ''}`
+    };
+  }
+  // Large files are streamed, keeping a uniform sample of their rows
+  const limit = DEFAULT_BENCHMARK_LIMITS.baseVectors;
+  const random = createRandom(deriveSeed(DEFAULT_SEED, 'import', name));
+  const reportProgress = onProgress && ((bytesRead, total) => onProgress(bytesRead / total));
+
+  if (extension === '.fvecs' || extension === '.bvecs') {
+    const sample = await sampleVecs(file, extension.slice(1), { limit, random, onProgress: reportProgress });
+    const rows = sample.data.length / sample.dimension;
+    return {
+      matrix: createEmbeddingMatrix(name, sample.data, rows, sample.dimension),
+      detail: `${extension.slice(1)}${sample.count > rows ? `, ${rows.toLocaleString()} sampled of ${sample.count.toLocaleString()}` : ''}`
+    };
+  }
+  const textFormat = textFormatOf(file.name);
+  if (textFormat) {
+    const table = await readTextEmbeddings(file, textFormat, { limit, random, onProgress: reportProgress });
+    const rows = table.data.length / table.dimension;
+    const columns = Object.entries(table.columns).map(([role, column]) => `${role} "${column}"`);
+    const details = [
+      textFormat,
+      ...(columns.length > 0 ? [columns.join(', ')] : []),
+      ...(table.count > rows ? [`${rows.toLocaleString()} sampled of ${table.count.toLocaleString()}`] : [])
+    ];
+    return {
+      matrix: createEmbeddingMatrix(name, table.data, rows, table.dimension, { ids: table.ids, labels: table.labels }),
+      detail: details.join(', '),
+      errors: table.errors,
+      errorCount: table.errorCount
+    };
+  }
+  throw new Error(`Unsupported file type "${extension || file.name}". Supported: ${EMBEDDING_FILE_TYPES.join(', ')}`);
+};
@@ -0,0 +1,118 @@
+// Public entry point of the cosine-concentration library. Everything here is plain ESM
+// without React or browser APIs, so it can be imported from Node services and workers alike.
+
+import { getNormalizationStrategy, DEFAULT_NORMALIZATION } from './normalization.js';
+
+export {
+  normalRandom,
+  generateRandomUnitVector,
+  calculateCosineDistance,
+  gammaRandom,
+  betaRandom,
+  sampleCosineSimilarity
+} from './sampling.js';
+export { DEFAULT_SEED, createRandom, deriveSeed, randomSeed, parseSeed } from './random.js';
+export { GENERATORS, DEFAULT_GENERATOR, getGenerator, resolveGeneratorOptions, effectiveDimension } from './generators.js';
+export {
+  logGamma,
+  regularizedIncompleteBeta,
+  cosineSimilarityDensity,
+  cosineSimilarityCdf,
+  cosineDistanceDensity,
+  cosineDistanceCdf,
+  cosineDistanceQuantile,
+  cosineSimilarityVariance,
+  normalCdf,
+  normalQuantile
+} from './distribution.js';
+export {
+  NORMALIZATION_STRATEGIES,
+  DEFAULT_NORMALIZATION,
+  DEFAULT_QUALITY_TARGET,
+  CALIBRATION_SOURCES,
+  getScalingFactor,
+  getNormalizationStrategy,
+  assessNormalization,
+  fitScalingFactors,
+  parseCalibration,
+  getCalibratedScalingFactor
+} from './normalization.js';
+export {
+  distancePValue,
+  distanceThreshold,
+  similarityThreshold,
+  translateThreshold,
+  translateNormalizedThreshold
+} from './thresholds.js';
+export { createDistanceScorer, createCalibratedNormalizer } from './scoring.js';
+export { parseScoreList, analyzeScores } from './scores.js';
+export {
+  createMoments,
+  updateMoments,
+  summarizeMoments,
+  criticalValue,
+  meanConfidenceInterval,
+  stdRelativeHalfWidth,
+  stdConfidenceInterval,
+  requiredSampleSize,
+  createHistogram,
+  updateHistogram,
+  histogramDensity,
+  createQuantileSketch,
+  updateQuantileSketch,
+  sketchQuantile,
+  sketchCdf,
+  createStreamingStats,
+  updateStreamingStats,
+  summarizeStreamingStats
+} from './stats.js';
+export {
+  DEFAULT_DIMENSIONS,
+  DEFAULT_PRECISION,
+  MIN_DIMENSION,
+  MAX_VECTOR_DIMENSION,
+  MAX_FAST_DIMENSION,
+  SAMPLING_MODES,
+  PILOT_SIZE,
+  HISTOGRAM_RANGES,
+  getMaxDimension,
+  getAdjustedSampleSize,
+  resolveSampleSize,
+  simulateDimension,
+  sampleDistances
+} from './simulation.js';
+export { parseNpy, parseNpz } from './npy.js';
+export { createEmbeddingMatrix, simulateEmbeddings } from './embeddings.js';
+export { VECS_FORMATS, MAX_VECS_DIMENSION, vecsFormatOf, readVecs, sampleVecs } from './vecs.js';
+export { parseDelimitedLine, readLines } from './delimited.js';
+export {
+  TEXT_EMBEDDING_FORMATS,
+  TEXT_COLUMN_NAMES,
+  MAX_ROW_ERRORS,
+  textFormatOf,
+  readTextEmbeddings
+} from './textEmbeddings.js';
+export { DEFAULT_BENCHMARK_LIMITS, loadAnnBenchmark, sampleAnnBenchmark } from './annBenchmark.js';
+export { EMBEDDING_FILE_TYPES, importEmbeddingFile } from './importers.js';
+export {
+  EMBEDDING_TRANSFORMS,
+  PCA_FIT_ROWS,
+  MAX_COMPONENTS,
+  principalComponents,
+  getEmbeddingTransform,
+  resolveTransformSteps,
+  transformEmbeddings,
+  simulateTransformedEmbeddings
+} from './transforms.js';
+
+// Normalize a raw cosine distance in dimension `dim` with a registered strategy.
+// `context` is only needed by strategies that use empirical statistics ({ mean, std }) or
+// a fitted calibration ({ scalingFactor }).
+export const normalizeCosineDistance = (distance, dim, strategy = DEFAULT_NORMALIZATION, context = {}) => {
+  return getNormalizationStrategy(strategy).createNormalizer(dim, context).normalize(distance);
+};
+
+// Map a normalized distance back to the raw cosine distance in dimension `dim`
+export const denormalizeCosineDistance = (value, dim, strategy = DEFAULT_NORMALIZATION, context = {}) => {
+  return getNormalizationStrategy(strategy).createNormalizer(dim, context).denormalize(value);
+};
@@ -0,0 +1,223 @@
+import {
+  cosineDistanceCdf,
+  cosineDistanceQuantile,
+  cosineSimilarityVariance,
+  normalCdf,
+  normalQuantile
+} from './distribution.js';
+
+// Normalization strategies map a raw cosine distance in dimension `dim` to a value whose
+// spread is comparable across dimensions, centered at 1.0 for random vectors.
+//
+// Each strategy exposes `createNormalizer(dim, context)`, returning
+//   normalize(distance)   raw distance -> normalized value (monotone increasing)
+//   denormalize(value)    the inverse mapping
+//   nullCdf(value)        P(normalized <= value) for random unit vectors
+// `context` carries empirical statistics ({ mean, std } of raw distances) for strategies
+// that need them.
+
+// Build a normalizer from an affine map (distance - center) * scale + 1
+const affineNormalizer = (dim, center, scale) => {
+  const denormalize = (value) => (value - 1.0) / scale + center;
+  return {
+    normalize: (distance) => (distance - center) * scale + 1.0,
+    denormalize,
+    nullCdf: (value) => cosineDistanceCdf(Math.max(0, Math.min(2, denormalize(value))), dim)
+  };
+};
+
+// Dimension scaling factor of the original formula, including its low-dimension adjustment
+export const getScalingFactor = (dim) => {
+  return dim <= 3 ? Math.sqrt(dim) * 1.5 : Math.sqrt(dim);
+};
+
+// Exact null CDF of raw distances, tabulated over ±12 standard deviations around 1.0 and
+// interpolated linearly, so the percentile transform stays fast for millions of samples
+const createTabulatedCdf = (dim, points = 2048) => {
+  const spread = 12 * Math.sqrt(cosineSimilarityVariance(dim));
+  const min = Math.max(0, 1 - spread);
+  const max = Math.min(2, 1 + spread);
+  const step = (max - min) / (points - 1);
+  const table = new Float64Array(points);
+  for (let i = 0; i < points; i++) table[i] = cosineDistanceCdf(min + i * step, dim);
+
+  return (distance) => {
+    if (distance <= min || distance >= max) return cosineDistanceCdf(Math.max(0, Math.min(2, distance)), dim);
+    const position = (distance - min) / step;
+    const i = Math.floor(position);
+    return table[i] + (table[i + 1] - table[i]) * (position - i);
+  };
+};
+
+// Keep probabilities away from 0 and 1 so normal quantiles stay finite
+const clampProbability = (p) => Math.min(1 - 1e-15, Math.max(1e-15, p));
+
+export const NORMALIZATION_STRATEGIES = {
+  'sqrt-d': {
+    id: 'sqrt-d',
+    label: '√d scaling',
+    formula: "d' = (d - 1) × √dim + 1  (× 1.5 for dim ≤ 3)",
+    description: 'The original formula, with its hand-tuned 1.5 factor for dimensions up to 3',
+    createNormalizer: (dim) => affineNormalizer(dim, 1.0, getScalingFactor(dim))
+  },
+  'sqrt-d-plain': {
+    id: 'sqrt-d-plain',
+    label: '√d scaling (no low-d factor)',
+    formula: "d' = (d - 1) × √dim + 1",
+    description: 'The same formula without the low-dimension adjustment',
+    createNormalizer: (dim) => affineNormalizer(dim, 1.0, Math.sqrt(dim))
+  },
+  'z-score': {
+    id: 'z-score',
+    label: 'Empirical z-score',
+    formula: "d' = (d - mean) / std + 1",
+    description: 'Standardizes with the empirical mean and std of the distances',
+    needsEmpiricalStats: true,
+    createNormalizer: (dim, context = {}) => {
+      const mean = context.mean !== undefined ? context.mean : 1.0;
+      const std = context.std > 0 ? context.std : Math.sqrt(cosineSimilarityVariance(dim));
+      return affineNormalizer(dim, mean, 1 / std);
+    }
+  },
+  'exact-std': {
+    id: 'exact-std',
+    label: 'Exact-std scaling',
+    formula: "d' = (d - 1) / σ(dim) + 1,  σ² = Var(cos) = 1/dim",
+    description: 'Divides by the exact null standard deviation; for isotropic vectors this is √d without any fudge factor',
+    createNormalizer: (dim) => affineNormalizer(dim, 1.0, 1 / Math.sqrt(cosineSimilarityVariance(dim)))
+  },
+  percentile: {
+    id: 'percentile',
+    label: 'Percentile (CDF) transform',
+    formula: "d' = 1 + Φ⁻¹(F_dim(d))",
+    description: 'Maps each distance to its percentile under the exact null, then to a standard normal score',
+    createNormalizer: (dim) => {
+      const cdf = createTabulatedCdf(dim);
+      return {
+        normalize: (distance) => 1.0 + normalQuantile(clampProbability(cdf(distance))),
+        denormalize: (value) => cosineDistanceQuantile(normalCdf(value - 1.0), dim),
+        nullCdf: (value) => normalCdf(value - 1.0)
+      };
+    }
+  },
+  calibrated: {
+    id: 'calibrated',
+    label: 'Calibrated scaling',
+    formula: "d' = (d - 1) × k(dim) + 1,  k fitted per dimension",
+    description: 'Uses a fitted scaling factor per dimension (see fitScalingFactors); falls back to exact-std scaling without a calibration',
+    createNormalizer: (dim, context = {}) => {
+      const scale = context.scalingFactor > 0 ? context.scalingFactor : 1 / Math.sqrt(cosineSimilarityVariance(dim));
+      return affineNormalizer(dim, 1.0, scale);
+    }
+  },
+  'fisher-z': {
+    id: 'fisher-z',
+    label: 'Fisher z transform',
+    formula: "d' = 1 - atanh(1 - d) × √(dim - 2)",
+    description: 'Variance-stabilizing arctanh of the similarity, scaled by its approximate null std 1/√(dim - 2)',
+    createNormalizer: (dim) => {
+      const scale = Math.sqrt(Math.max(dim - 2, 1));
+      const limit = 1 - 1e-12;
+      const denormalize = (value) => 1.0 - Math.tanh((1.0 - value) / scale);
+      return {
+        normalize: (distance) => 1.0 - Math.atanh(Math.max(-limit, Math.min(limit, 1.0 - distance))) * scale,
+        denormalize,
+        nullCdf: (value) => cosineDistanceCdf(Math.max(0, Math.min(2, denormalize(value))), dim)
+      };
+    }
+  }
+};
+
+export const DEFAULT_NORMALIZATION = 'sqrt-d';
+
+// Look up a normalization strategy by id
+export const getNormalizationStrategy = (id = DEFAULT_NORMALIZATION) => {
+  // Own keys only, so names such as "constructor" are rejected too
+  if (!Object.hasOwn(NORMALIZATION_STRATEGIES, id)) {
+    throw new Error(`Unknown normalization strategy "${id}". Available: ${Object.keys(NORMALIZATION_STRATEGIES).join(', ')}`);
+  }
+  return NORMALIZATION_STRATEGIES[id];
+};
+
+// Target spread for normalized distances: random vectors should have std 1.0 in every dimension
+export const DEFAULT_QUALITY_TARGET = { targetStd: 1.0, tolerance: 0.05 };
+
+// Per-dimension quality of a normalization strategy: how far each normalized std is from the
+// target spread, and whether it is within the relative tolerance
+export const assessNormalization = (statistics, strategyId, { targetStd, tolerance } = DEFAULT_QUALITY_TARGET) => {
+  return statistics.map(stat => {
+    const { mean, std } = stat.normalized[strategyId];
+    const relativeError = (std - targetStd) / targetStd;
+    return {
+      dimension: stat.dimension,
+      normalizedMean: mean,
+      normalizedStd: std,
+      ratio: stat.ratio,
+      relativeError,
+      pass: Math.abs(relativeError) <= tolerance
+    };
+  });
+};
+
+// Sources a calibration can be fitted from
+export const CALIBRATION_SOURCES = ['simulation', 'exact'];
+
+// Fit a scaling factor k per dimension so that (d - 1) × k has std `targetStd`: from the
+// measured std of raw distances ('simulation') or from the exact null variance ('exact').
+// The result is a plain object that can be exported and passed back as `settings.calibration`.
+export const fitScalingFactors = (statistics, { targetStd = DEFAULT_QUALITY_TARGET.targetStd, source = 'simulation' } = {}) => {
+  if (!CALIBRATION_SOURCES.includes(source)) {
+    throw new Error(`Unknown calibration source "${source}". Available: ${CALIBRATION_SOURCES.join(', ')}`);
+  }
+  const factors = statistics
+    .map(stat => {
+      const std = source === 'exact' ? Math.sqrt(cosineSimilarityVariance(stat.dimension)) : stat.originalStd;
+      return { dimension: stat.dimension, scalingFactor: targetStd / std };
+    })
+    .sort((a, b) => a.dimension - b.dimension);
+  return { targetStd, source, factors };
+};
+
+// Check a calibration table read back from JSON (the shape fitScalingFactors returns) and
+// return it with its factors sorted by dimension. Throws with a readable message when the
+// table is malformed, so callers can fail before scoring anything with it.
+export const parseCalibration = (value) => {
+  if (value === null || typeof value !== 'object' || !Array.isArray(value.factors) || value.factors.length === 0) {
+    throw new Error('A calibration must be an object with a non-empty "factors" array');
+  }
+  const dimensions = new Set();
+  value.factors.forEach((factor, index) => {
+    const where = `calibration factor ${index + 1}`;
+    if (factor === null || typeof factor !== 'object') throw new Error(`The ${where} is not an object`);
+    if (!Number.isInteger(factor.dimension) || factor.dimension < 1) {
+      throw new Error(`The ${where} has no valid "dimension" (a positive whole number)`);
+    }
+    if (typeof factor.scalingFactor !== 'number' || !Number.isFinite(factor.scalingFactor) || factor.scalingFactor <= 0) {
+      throw new Error(`The ${where} has no valid "scalingFactor" (a positive number)`);
+    }
+    if (dimensions.has(factor.dimension)) throw new Error(`The calibration lists dimension ${factor.dimension} twice`);
+    dimensions.add(factor.dimension);
+  });
+  return { ...value, factors: [...value.factors].sort((a, b) => a.dimension - b.dimension) };
+};
+
+// Scaling factor of a calibration for any dimension. Dimensions between calibrated ones
+// interpolate k / √dim linearly in log2(dim); dimensions outside the range reuse the
+// nearest calibrated k / √dim, so the factor keeps growing like √dim.
+export const getCalibratedScalingFactor = (calibration, dim) => {
+  const factors = calibration && calibration.factors;
+  if (!factors || factors.length === 0) return null;
+
+  const exact = factors.find(f => f.dimension === dim);
+  if (exact) return exact.scalingFactor;
+
+  const relative = (f) => f.scalingFactor / Math.sqrt(f.dimension);
+  const upperIndex = factors.findIndex(f => f.dimension > dim);
+  if (upperIndex === 0) return relative(factors[0]) * Math.sqrt(dim);
+  if (upperIndex === -1) return relative(factors[factors.length - 1]) * Math.sqrt(dim);
+
+  const lower = factors[upperIndex - 1];
+  const upper = factors[upperIndex];
+  const position = (Math.log2(dim) - Math.log2(lower.dimension)) / (Math.log2(upper.dimension) - Math.log2(lower.dimension));
+  return (relative(lower) + (relative(upper) - relative(lower)) * position) * Math.sqrt(dim);
+};
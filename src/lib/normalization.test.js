@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { fitScalingFactors, getCalibratedScalingFactor, parseCalibration } from './normalization.js';
+
+describe('parseCalibration', () => {
+  it('accepts a table from fitScalingFactors after a JSON round trip', () => {
+    const table = fitScalingFactors([{ dimension: 768, originalStd: 0.036 }, { dimension: 64, originalStd: 0.125 }]);
+    const calibration = parseCalibration(JSON.parse(JSON.stringify(table)));
+    expect(calibration.factors.map(factor => factor.dimension)).toEqual([64, 768]);
+    expect(getCalibratedScalingFactor(calibration, 64)).toBeCloseTo(8, 10);
+  });
+
+  it.each([
+    ['null', null],
+    ['a table without factors', { source: 'exact' }],
+    ['an empty table', { factors: [] }],
+    ['a fractional dimension', { factors: [{ dimension: 7.5, scalingFactor: 2 }] }],
+    ['a negative factor', { factors: [{ dimension: 8, scalingFactor: -2 }] }],
+    ['a factor given as text', { factors: [{ dimension: 8, scalingFactor: '2' }] }],
+    ['a repeated dimension', { factors: [{ dimension: 8, scalingFactor: 2 }, { dimension: 8, scalingFactor: 3 }] }]
+  ])('rejects %s', (_, value) => {
+    expect(() => parseCalibration(value)).toThrow();
+  });
+});
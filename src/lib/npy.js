@@ -0,0 +1,158 @@
+// Readers for NumPy .npy arrays and .npz archives of them, for importing embedding matrices.
+// Only floating-point matrices (float16, float32, float64, either byte order) are supported;
+// values are returned as a Float32Array or Float64Array in row-major order.
+
+const NPY_MAGIC = [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59]; // "\x93NUMPY"
+
+// Convert an IEEE 754 half-precision value to a number
+const halfToFloat = (bits) => {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+};
+
+// Parse the Python dict literal of an .npy header
+const parseHeader = (text) => {
+  const descr = /'descr'\s*:\s*'([^']+)'/.exec(text);
+  const fortran = /'fortran_order'\s*:\s*(True|False)/.exec(text);
+  const shape = /'shape'\s*:\s*\(([^)]*)\)/.exec(text);
+  if (!descr || !fortran || !shape) throw new Error('Malformed .npy header');
+  return {
+    dtype: descr[1],
+    fortranOrder: fortran[1] === 'True',
+    shape: shape[1].split(',').map(s => s.trim()).filter(Boolean).map(Number)
+  };
+};
+
+// Parse an .npy file into { dtype, shape, data } with the matrix in row-major order
+export const parseNpy = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (!NPY_MAGIC.every((byte, i) => bytes[i] === byte)) throw new Error('Not an .npy file');
+
+  const view = new DataView(buffer);
+  const major = bytes[6];
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = parseHeader(new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength)));
+
+  const match = /^([<>|=])f([248])$/.exec(header.dtype);
+  if (!match) throw new Error(`Unsupported dtype "${header.dtype}"; expected float16, float32 or float64`);
+  const littleEndian = match[1] !== '>';
+  const itemSize = Number(match[2]);
+
+  if (header.shape.length !== 2) throw new Error(`Expected a 2-D matrix, got shape (${header.shape.join(', ')})`);
+  const [rows, columns] = header.shape;
+  const count = rows * columns;
+  const offset = headerStart + headerLength;
+  if (offset + count * itemSize > buffer.byteLength) throw new Error('The .npy data is truncated');
+
+  const data = itemSize === 8 ? new Float64Array(count) : new Float32Array(count);
+  for (let k = 0; k < count; k++) {
+    const position = offset + k * itemSize;
+    const value = itemSize === 8 ? view.getFloat64(position, littleEndian)
+      : itemSize === 4 ? view.getFloat32(position, littleEndian)
+        : halfToFloat(view.getUint16(position, littleEndian));
+    // Fortran order stores columns contiguously: element k is (k % rows, k / rows)
+    const index = header.fortranOrder ? (k % rows) * columns + Math.floor(k / rows) : k;
+    data[index] = value;
+  }
+
+  return { dtype: header.dtype, shape: [rows, columns], data };
+};
+
+// Inflate a raw deflate stream with the built-in DecompressionStream
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).arrayBuffer();
+};
+
+// Entries of a ZIP archive from its central directory (ZIP64 sizes and offsets included)
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a .npz (ZIP) archive');
+
+  let entryCount = view.getUint16(end + 10, true);
+  let directoryOffset = view.getUint32(end + 16, true);
+  // ZIP64 end of central directory, located just before the regular end record
+  if (directoryOffset === 0xffffffff && end >= 20 && view.getUint32(end - 20, true) === 0x07064b50) {
+    const zip64End = Number(view.getBigUint64(end - 12, true));
+    entryCount = Number(view.getBigUint64(zip64End + 32, true));
+    directoryOffset = Number(view.getBigUint64(zip64End + 48, true));
+  }
+
+  const entries = [];
+  let position = directoryOffset;
+  for (let n = 0; n < entryCount; n++) {
+    if (view.getUint32(position, true) !== 0x02014b50) throw new Error('Corrupt .npz central directory');
+    const method = view.getUint16(position + 10, true);
+    let compressedSize = view.getUint32(position + 20, true);
+    let size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    let localOffset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(new Uint8Array(buffer, position + 46, nameLength));
+
+    // ZIP64 extra field: 64-bit values for whichever fields are saturated, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (size === 0xffffffff) { size = Number(view.getBigUint64(field, true)); field += 8; }
+        if (compressedSize === 0xffffffff) { compressedSize = Number(view.getBigUint64(field, true)); field += 8; }
+        if (localOffset === 0xffffffff) localOffset = Number(view.getBigUint64(field, true));
+      }
+      extra += 4 + length;
+    }
+
+    entries.push({ name, method, compressedSize, size, localOffset });
+    position = extraEnd + commentLength;
+  }
+  return entries;
+};
+
+// Parse the .npy matrices of an .npz archive. Returns { arrays: [{ name, dtype, shape, data }],
+// skipped: [{ name, reason }] }, with names lacking the .npy suffix as numpy.load reports them;
+// entries that are not float matrices (labels, ids...) are skipped rather than failing.
+export const parseNpz = async (buffer) => {
+  const view = new DataView(buffer);
+  const arrays = [];
+  const skipped = [];
+  for (const entry of readZipEntries(buffer)) {
+    if (!entry.name.endsWith('.npy')) continue;
+    const local = entry.localOffset;
+    if (view.getUint32(local, true) !== 0x04034b50) throw new Error(`Corrupt .npz entry "${entry.name}"`);
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const compressed = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+    let contents;
+    if (entry.method === 0) contents = compressed.slice().buffer;
+    else if (entry.method === 8) contents = await inflateRaw(compressed);
+    else throw new Error(`Unsupported compression method ${entry.method} in "${entry.name}"`);
+
+    const name = entry.name.slice(0, -'.npy'.length);
+    try {
+      arrays.push({ name, ...parseNpy(contents) });
+    } catch (error) {
+      skipped.push({ name, reason: error.message });
+    }
+  }
+  if (arrays.length === 0) {
+    const reasons = skipped.map(s => `${s.name}: ${s.reason}`).join('; ');
+    throw new Error(`The .npz archive contains no float matrix${reasons ? ` (${reasons})` : ''}`);
+  }
+  return { arrays, skipped };
+};
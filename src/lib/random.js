@@ -0,0 +1,64 @@
+// Seeded pseudo-random number generation, so every simulation can be reproduced exactly
+
+export const DEFAULT_SEED = 42;
+
+// SplitMix32 step, used to expand a single 32-bit seed into the xoshiro state
+const splitMix32 = (state) => {
+  let z = (state + 0x9e3779b9) | 0;
+  const next = z;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return { next, value: (z ^ (z >>> 16)) >>> 0 };
+};
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+// Create a xoshiro128** generator returning uniform floats in [0, 1)
+export const createRandom = (seed = DEFAULT_SEED) => {
+  let state = seed >>> 0;
+  const s = new Uint32Array(4);
+  for (let i = 0; i < 4; i++) {
+    const step = splitMix32(state);
+    state = step.next;
+    s[i] = step.value;
+  }
+
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+
+    return result / 4294967296;
+  };
+};
+
+// Derive an independent seed for a sub-stream (e.g. one per dimension), so results
+// for a dimension do not depend on which other dimensions were simulated before it
+export const deriveSeed = (seed, ...keys) => {
+  let hash = (seed >>> 0) ^ 0x811c9dc5;
+  for (const key of keys) {
+    const text = String(key);
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    hash = splitMix32(hash).value;
+  }
+  return hash >>> 0;
+};
+
+// Pick a fresh seed for users who want a new random draw
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// Parse a user-entered seed, returning null when it is not a valid unsigned 32-bit integer
+export const parseSeed = (value) => {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) return null;
+  const seed = Number(text);
+  return seed <= 0xffffffff ? seed : null;
+};
@@ -0,0 +1,83 @@
+// Core vector sampling and cosine distance math, shared by the UI and the simulation worker
+
+// Box-Muller transform for normal distribution sampling from a uniform source
+// (a seeded generator from random.js, so results are reproducible)
+export const normalRandom = (random) => {
+  let u = 0, v = 0;
+  while (u === 0) u = random();
+  while (v === 0) v = random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+};
+
+// Generate a random unit vector in given dimension
+export const generateRandomUnitVector = (dimension, random) => {
+  const vector = new Float64Array(dimension);
+  let sumSquared = 0;
+
+  // Generate random components from normal distribution
+  for (let i = 0; i < dimension; i++) {
+    const val = normalRandom(random);
+    vector[i] = val;
+    sumSquared += val * val;
+  }
+
+  // Normalize to unit length
+  const magnitude = Math.sqrt(sumSquared);
+  for (let i = 0; i < dimension; i++) {
+    vector[i] /= magnitude;
+  }
+
+  return vector;
+};
+
+// Calculate cosine distance between two vectors
+export const calculateCosineDistance = (vec1, vec2) => {
+  let dotProduct = 0;
+
+  // Calculate dot product
+  for (let i = 0; i < vec1.length; i++) {
+    dotProduct += vec1[i] * vec2[i];
+  }
+
+  // Cosine distance = 1 - cosine similarity
+  // Since these are unit vectors, the cosine similarity is just the dot product
+  return 1.0 - dotProduct;
+};
+
+// Gamma(shape, 1) sample using Marsaglia and Tsang's method
+export const gammaRandom = (shape, random) => {
+  // Boost shapes below 1: Gamma(a) = Gamma(a + 1) * U^(1/a)
+  if (shape < 1) {
+    let u = 0;
+    while (u === 0) u = random();
+    return gammaRandom(shape + 1, random) * Math.pow(u, 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = normalRandom(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+};
+
+// Beta(a, b) sample built from two gamma samples
+export const betaRandom = (a, b, random) => {
+  const x = gammaRandom(a, random);
+  const y = gammaRandom(b, random);
+  return x / (x + y);
+};
+
+// Draw the cosine similarity of two random unit vectors directly, without building them.
+// (1 + t) / 2 ~ Beta((d-1)/2, (d-1)/2), so the cost does not depend on the dimension.
+export const sampleCosineSimilarity = (dimension, random) => {
+  const shape = (dimension - 1) / 2;
+  return 2 * betaRandom(shape, shape, random) - 1;
+};
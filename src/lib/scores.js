@@ -0,0 +1,100 @@
+import { createDistanceScorer } from './scoring.js';
+import { distanceThreshold } from './thresholds.js';
+import { cosineSimilarityVariance } from './distribution.js';
+import { createHistogram, updateHistogram } from './stats.js';
+
+// Analysis of similarity scores returned by a vector database, without the vectors:
+// scores are compared with the random-vector null of their embedding dimension.
+
+// Parse pasted scores, one per line. A line is either a bare score or "query,score"
+// (comma, tab or semicolon separated). Bare scores are grouped into queries by blank lines.
+// A non-numeric first line is treated as a header. Returns the groups in input order plus
+// the lines that could not be read.
+export const parseScoreList = (text) => {
+  const groups = [];
+  const byQuery = new Map();
+  const errors = [];
+  let current = null;
+
+  const groupFor = (query) => {
+    if (!byQuery.has(query)) {
+      const group = { query, scores: [] };
+      byQuery.set(query, group);
+      groups.push(group);
+    }
+    return byQuery.get(query);
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '') {
+      current = null;
+      return;
+    }
+    const fields = line.split(/[,\t;]/).map(field => field.trim());
+    const score = Number(fields[fields.length - 1]);
+    if (fields[fields.length - 1] === '' || !Number.isFinite(score)) {
+      if (index > 0 || groups.length > 0) errors.push({ line: index + 1, message: `"${line}" has no numeric score` });
+      return;
+    }
+    if (fields.length > 1) {
+      groupFor(fields.slice(0, -1).join(',')).scores.push(score);
+    } else {
+      if (!current) current = groupFor(`query ${groups.length + 1}`);
+      current.scores.push(score);
+    }
+  });
+
+  return { groups, errors };
+};
+
+// Score every result against the null of dimension `dim`. `kind` says whether the scores are
+// similarities or distances. A result is in the noise band when random pairs are at least
+// this close with probability above `noiseRate`. The histograms cover the observed distances
+// and the bulk of the null, on the raw and on the normalized scale.
+export const analyzeScores = (groups, dim, { kind = 'similarity', strategy, calibration = null, noiseRate = 1e-3, binCount = 60 } = {}) => {
+  const score = createDistanceScorer({ strategy, calibration });
+  const noiseEdge = distanceThreshold(noiseRate, dim);
+  const errors = [];
+
+  const queries = groups.map(group => {
+    const results = [];
+    group.scores.forEach((value, rank) => {
+      const distance = kind === 'similarity' ? 1 - value : value;
+      if (distance < 0 || distance > 2) {
+        errors.push({ query: group.query, rank: rank + 1, message: `${kind} ${value} is out of range` });
+        return;
+      }
+      const { normalizedDistance, pValue } = score(distance, dim);
+      results.push({ rank: rank + 1, value, distance, normalizedDistance, pValue, noise: pValue > noiseRate });
+    });
+    return { query: group.query, results };
+  });
+
+  const all = queries.flatMap(query => query.results);
+  const spread = 5 * Math.sqrt(cosineSimilarityVariance(dim));
+  // Bins cover [min, max + one bin width), since histograms count values at their upper
+  // edge as overflow and the largest result would drop out of the chart
+  const range = (values, center, width) => {
+    const min = values.reduce((lowest, x) => Math.min(lowest, x), center - width);
+    const max = values.reduce((highest, x) => Math.max(highest, x), center + width);
+    const binSize = (max > min ? max - min : 1) / (binCount - 1);
+    return { min, max: max + binSize, binCount };
+  };
+  const original = createHistogram(range(all.map(r => r.distance), 1, spread));
+  const normalizedSpread = Math.abs(score(Math.max(0, 1 - spread), dim).normalizedDistance - 1);
+  const normalized = createHistogram(range(all.map(r => r.normalizedDistance), 1, normalizedSpread));
+  all.forEach(result => {
+    updateHistogram(original, result.distance);
+    updateHistogram(normalized, result.normalizedDistance);
+  });
+
+  return {
+    queries,
+    errors,
+    noiseBand: { lower: noiseEdge, upper: 2 - noiseEdge },
+    noiseCount: all.filter(result => result.noise).length,
+    resultCount: all.length,
+    histograms: { original, normalized }
+  };
+};
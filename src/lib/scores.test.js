@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeScores, parseScoreList } from './scores.js';
+
+describe('parseScoreList', () => {
+  it('groups bare scores by blank lines and keyed scores by query', () => {
+    const { groups, errors } = parseScoreList('score\n0.9\n0.8\n\n0.7\nq,0.5\nq,0.4\nbad\n');
+    expect(groups.map(group => group.scores)).toEqual([[0.9, 0.8], [0.7], [0.5, 0.4]]);
+    expect(groups[2].query).toBe('q');
+    expect(errors).toEqual([{ line: 8, message: '"bad" has no numeric score' }]);
+  });
+});
+
+describe('analyzeScores', () => {
+  const groups = [{ query: 'q', scores: [0.95, 0.6, 0.3, 0.01, -0.4] }];
+
+  it('counts every result in the histograms, including the extreme ones', () => {
+    const analysis = analyzeScores(groups, 384);
+    expect(analysis.resultCount).toBe(5);
+    Object.values(analysis.histograms).forEach(histogram => {
+      expect(histogram.counts.reduce((sum, count) => sum + count, 0)).toBe(analysis.resultCount);
+      expect(histogram.underflow + histogram.overflow).toBe(0);
+    });
+  });
+
+  it('counts results in distance form too', () => {
+    const analysis = analyzeScores([{ query: 'q', scores: [0, 1, 2] }], 8, { kind: 'distance' });
+    const { original } = analysis.histograms;
+    expect(original.counts.reduce((sum, count) => sum + count, 0)).toBe(3);
+  });
+
+  it('flags results typical of random vectors as noise', () => {
+    const analysis = analyzeScores(groups, 384);
+    expect(analysis.queries[0].results.map(result => result.noise)).toEqual([false, false, false, true, true]);
+    expect(analysis.errors).toEqual([]);
+  });
+});
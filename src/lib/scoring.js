@@ -0,0 +1,39 @@
+import { getNormalizationStrategy, getCalibratedScalingFactor, DEFAULT_NORMALIZATION } from './normalization.js';
+import { distancePValue } from './thresholds.js';
+
+// Normalizer of a strategy for one dimension, taking the factor of the 'calibrated' strategy
+// from `calibration` (a table from fitScalingFactors) when one is given
+export const createCalibratedNormalizer = (strategy, dim, calibration = null) => {
+  const scalingFactor = getCalibratedScalingFactor(calibration, dim);
+  return getNormalizationStrategy(strategy).createNormalizer(dim, scalingFactor !== null ? { scalingFactor } : {});
+};
+
+// Score raw cosine distances of real data against the random-vector null, for any mix of
+// dimensions. Normalizers are built once per dimension and reused, since some strategies
+// (such as the percentile transform) tabulate the exact CDF when created.
+//
+// Strategies that need empirical statistics cannot score a single value in isolation, so
+// they are rejected; the 'calibrated' strategy takes its factors from `calibration`.
+export const createDistanceScorer = ({ strategy = DEFAULT_NORMALIZATION, calibration = null } = {}) => {
+  const normalization = getNormalizationStrategy(strategy);
+  if (normalization.needsEmpiricalStats) {
+    throw new Error(`Normalization "${strategy}" needs empirical statistics and cannot score individual distances`);
+  }
+  const normalizers = new Map();
+
+  const getNormalizer = (dim) => {
+    if (!normalizers.has(dim)) normalizers.set(dim, createCalibratedNormalizer(strategy, dim, calibration));
+    return normalizers.get(dim);
+  };
+
+  // Normalized distance, percentile (0-100) of the raw distance among random pairs, and the
+  // one-sided p-value of a pair being at least this close by chance
+  return (distance, dim) => {
+    const pValue = distancePValue(distance, dim);
+    return {
+      normalizedDistance: getNormalizer(dim).normalize(distance),
+      percentile: pValue * 100,
+      pValue
+    };
+  };
+};
@@ -0,0 +1,218 @@
+import { calculateCosineDistance, sampleCosineSimilarity } from './sampling.js';
+import { createRandom, deriveSeed, DEFAULT_SEED } from './random.js';
+import { getGenerator, resolveGeneratorOptions, DEFAULT_GENERATOR } from './generators.js';
+import { NORMALIZATION_STRATEGIES, DEFAULT_NORMALIZATION, getCalibratedScalingFactor } from './normalization.js';
+import {
+  createMoments,
+  updateMoments,
+  createStreamingStats,
+  updateStreamingStats,
+  summarizeStreamingStats,
+  summarizeMoments,
+  meanConfidenceInterval,
+  stdConfidenceInterval,
+  stdRelativeHalfWidth,
+  requiredSampleSize
+} from './stats.js';
+
+// Dimensions to analyze by default (powers of 2 for better distribution)
+export const DEFAULT_DIMENSIONS = [2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048];
+
+// Bounds for user-defined dimensions; building full vectors gets slow beyond
+// MAX_VECTOR_DIMENSION, while fast mode costs the same for any dimension
+export const MIN_DIMENSION = 2;
+export const MAX_VECTOR_DIMENSION = 65536;
+export const MAX_FAST_DIMENSION = 1000000;
+
+// Sampling modes: build real vector pairs, or draw similarities from their exact law
+export const SAMPLING_MODES = ['vector', 'fast'];
+
+// Largest dimension the given sampling mode can handle
+export const getMaxDimension = (mode = 'vector') => {
+  return mode === 'fast' ? MAX_FAST_DIMENSION : MAX_VECTOR_DIMENSION;
+};
+
+// Increase sample size for higher dimensions
+export const getAdjustedSampleSize = (dim) => {
+  if (dim <= 32) return 10000;
+  if (dim <= 256) return 20000;
+  return 50000;
+};
+
+// Resolve the configured sample size ('auto' or a fixed count) for a dimension
+export const resolveSampleSize = (dim, sampleSize = 'auto') => {
+  return sampleSize === 'auto' ? getAdjustedSampleSize(dim) : sampleSize;
+};
+
+// Adaptive sampling target: std estimate within ±1% at 95% confidence
+export const DEFAULT_PRECISION = {
+  relativeError: 0.01,
+  confidence: 0.95,
+  minSamples: 2000,
+  maxSamples: 2000000
+};
+
+// Samples drawn up front to estimate the empirical mean and std that context-dependent
+// normalizations (such as the z-score) use; they are then replayed into the statistics
+export const PILOT_SIZE = 2000;
+
+// Histogram ranges for original and normalized distances
+export const HISTOGRAM_RANGES = {
+  original: { min: 0, max: 2, binCount: 40 },
+  normalized: { min: -2, max: 4, binCount: 40 }
+};
+
+// Draw pairs of vectors in dimension `dim` and summarize their cosine distances.
+//
+// `settings.sampleSize` is 'auto', a fixed count, or 'adaptive': keep drawing until the std
+// estimate is within ±`precision.relativeError` at `precision.confidence` (or until
+// `precision.maxSamples`). Each dimension gets its own random stream derived from
+// `settings.seed`. In 'fast' mode similarities are sampled directly, which requires a
+// generator supporting it; `settings.generatorOptions` holds the generator's parameters.
+// See sampleDistances for the statistics that are collected.
+export const simulateDimension = (dim, settings = {}, { onProgress } = {}) => {
+  const {
+    seed = DEFAULT_SEED,
+    mode = 'vector',
+    generator: generatorId = DEFAULT_GENERATOR
+  } = settings;
+  const generator = getGenerator(generatorId);
+  const generatorOptions = resolveGeneratorOptions(generator, settings.generatorOptions);
+  if (mode === 'fast' && !generator.supportsFastMode) {
+    throw new Error(`Generator "${generator.id}" needs real vectors and cannot run in fast mode`);
+  }
+  if (dim > getMaxDimension(mode)) {
+    throw new Error(`Dimension ${dim} exceeds the ${mode} mode limit of ${getMaxDimension(mode)}`);
+  }
+
+  const random = createRandom(deriveSeed(seed, dim));
+  const sampleVector = mode === 'fast' ? null : generator.createSampler(dim, random, generatorOptions);
+
+  // Generate two random vectors, or draw their similarity directly in fast mode
+  const drawDistance = () => {
+    return sampleVector
+      ? calculateCosineDistance(sampleVector(), sampleVector())
+      : 1.0 - sampleCosineSimilarity(dim, random);
+  };
+
+  const { statistics, distributions } = sampleDistances(dim, drawDistance, settings, { onProgress });
+  return {
+    statistics: { ...statistics, seed, mode, generator: generator.id, generatorOptions },
+    distributions
+  };
+};
+
+// Summarize the cosine distances returned by `drawDistance` for vectors of dimension `dim`,
+// with the sample size and precision rules of simulateDimension.
+//
+// Every distance is normalized with each registered normalization strategy (see
+// normalization.js); `settings.calibration`, a table from fitScalingFactors, supplies the
+// factor of the 'calibrated' strategy. No raw samples are kept: each stream of values feeds
+// streaming statistics (see stats.js), so memory stays bounded for any sample count.
+// `onProgress` is called periodically with the running statistics and histograms so callers
+// can stream partial results.
+export const sampleDistances = (dim, drawDistance, settings = {}, { onProgress } = {}) => {
+  const { precision = DEFAULT_PRECISION } = settings;
+  const adaptive = settings.sampleSize === 'adaptive';
+  const { relativeError, confidence, minSamples, maxSamples } = { ...DEFAULT_PRECISION, ...precision };
+  const sampleLimit = adaptive ? maxSamples : resolveSampleSize(dim, settings.sampleSize);
+  const checkInterval = adaptive ? 1000 : Math.max(1000, Math.ceil(sampleLimit / 100));
+
+  // Keep distances within the valid range (numerical precision issues)
+  const drawClampedDistance = () => Math.max(0, Math.min(2, drawDistance()));
+
+  // Pilot run for the empirical statistics of context-dependent normalizations
+  const pilot = [];
+  const pilotMoments = createMoments();
+  while (pilot.length < Math.min(PILOT_SIZE, sampleLimit)) {
+    const distance = drawClampedDistance();
+    pilot.push(distance);
+    updateMoments(pilotMoments, distance);
+  }
+  const pilotSummary = summarizeMoments(pilotMoments);
+  const normalizationContext = { mean: pilotSummary.mean, std: pilotSummary.std };
+  const scalingFactor = getCalibratedScalingFactor(settings.calibration, dim);
+  if (scalingFactor !== null) normalizationContext.scalingFactor = scalingFactor;
+
+  const strategies = Object.values(NORMALIZATION_STRATEGIES);
+  const normalizers = strategies.map(strategy => strategy.createNormalizer(dim, normalizationContext));
+
+  const original = createStreamingStats({ histogram: HISTOGRAM_RANGES.original });
+  const normalized = {};
+  strategies.forEach(strategy => {
+    normalized[strategy.id] = createStreamingStats({ histogram: HISTOGRAM_RANGES.normalized, sketch: false });
+  });
+  const normalizedHistograms = () => {
+    const histograms = {};
+    strategies.forEach(strategy => { histograms[strategy.id] = normalized[strategy.id].histogram; });
+    return histograms;
+  };
+
+  let targetReached = !adaptive;
+  let count = 0;
+
+  while (count < sampleLimit) {
+    const distance = count < pilot.length ? pilot[count] : drawClampedDistance();
+    count++;
+
+    // Update statistics
+    updateStreamingStats(original, distance);
+    for (let i = 0; i < strategies.length; i++) {
+      updateStreamingStats(normalized[strategies[i].id], normalizers[i].normalize(distance));
+    }
+
+    if (count % checkInterval === 0 || count === sampleLimit) {
+      const summary = summarizeMoments(original.moments);
+      // Estimated total for adaptive runs, so progress can still be reported as a fraction
+      let expected = sampleLimit;
+      if (adaptive) {
+        targetReached = count >= minSamples && stdRelativeHalfWidth(summary, confidence) <= relativeError;
+        expected = targetReached ? count : Math.min(maxSamples, Math.max(count + checkInterval, requiredSampleSize(summary, { relativeError, confidence })));
+      }
+      if (onProgress) {
+        onProgress({
+          completed: count,
+          expected,
+          mean: summary.mean,
+          std: summary.std,
+          histograms: { original: original.histogram, normalized: normalizedHistograms() }
+        });
+      }
+      if (targetReached && adaptive) break;
+    }
+  }
+
+  // Calculate statistics, with confidence intervals stating their accuracy
+  const originalSummary = summarizeStreamingStats(original);
+  const normalizedSummaries = {};
+  strategies.forEach(strategy => {
+    const { mean, std } = summarizeStreamingStats(normalized[strategy.id]);
+    normalizedSummaries[strategy.id] = { mean, std };
+  });
+  const normalizedSummary = normalizedSummaries[DEFAULT_NORMALIZATION];
+  const theoreticalStd = 1.0 / Math.sqrt(dim);
+
+  return {
+    statistics: {
+      dimension: dim,
+      sampleSize: count,
+      originalMean: originalSummary.mean,
+      originalStd: originalSummary.std,
+      normalizedMean: normalizedSummary.mean,
+      normalizedStd: normalizedSummary.std,
+      normalized: normalizedSummaries,
+      normalizationContext,
+      theoreticalStd,
+      ratio: originalSummary.std / theoreticalStd,
+      skewness: originalSummary.skewness,
+      kurtosis: originalSummary.kurtosis,
+      quantiles: originalSummary.quantiles,
+      confidence,
+      meanInterval: meanConfidenceInterval(originalSummary, confidence),
+      stdInterval: stdConfidenceInterval(originalSummary, confidence),
+      targetPrecision: adaptive ? relativeError : null,
+      targetReached
+    },
+    distributions: { original, normalized }
+  };
+};
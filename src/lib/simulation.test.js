@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { simulateDimension } from './simulation.js';
+import { NORMALIZATION_STRATEGIES } from './normalization.js';
+import { normalizeCosineDistance, denormalizeCosineDistance } from './index.js';
+
+describe('simulateDimension', () => {
+  // Random unit vectors have cosine distances with mean 1 and std 1/√d
+  it.each([4, 64, 512])('matches the mean and std of the null in dimension %i', (dim) => {
+    const { statistics } = simulateDimension(dim, { seed: 7, sampleSize: 20000 });
+    const std = 1 / Math.sqrt(dim);
+    expect(statistics.originalMean).toBeCloseTo(1, 1);
+    expect(Math.abs(statistics.originalMean - 1)).toBeLessThan(4 * std / Math.sqrt(statistics.sampleSize));
+    expect(statistics.originalStd / std).toBeGreaterThan(0.97);
+    expect(statistics.originalStd / std).toBeLessThan(1.03);
+  });
+
+  it('agrees with fast mode', () => {
+    const vector = simulateDimension(256, { seed: 7, sampleSize: 20000 }).statistics;
+    const fast = simulateDimension(256, { seed: 7, sampleSize: 20000, mode: 'fast' }).statistics;
+    expect(fast.originalStd / vector.originalStd).toBeGreaterThan(0.96);
+    expect(fast.originalStd / vector.originalStd).toBeLessThan(1.04);
+  });
+
+  it('is reproducible for a fixed seed', () => {
+    const first = simulateDimension(32, { seed: 123, sampleSize: 5000 }).statistics;
+    const second = simulateDimension(32, { seed: 123, sampleSize: 5000 }).statistics;
+    expect(second.originalMean).toBe(first.originalMean);
+    expect(second.originalStd).toBe(first.originalStd);
+  });
+
+  it('rejects unknown generators, including inherited property names', () => {
+    expect(() => simulateDimension(16, { generator: 'constructor' })).toThrow(/Unknown generator/);
+  });
+
+  it('rejects fast mode for generators that need real vectors', () => {
+    expect(() => simulateDimension(16, { mode: 'fast', generator: 'sparse' })).toThrow(/cannot run in fast mode/);
+  });
+});
+
+describe('normalizeCosineDistance', () => {
+  it('maps one null standard deviation to 2 with √d scaling', () => {
+    expect(normalizeCosineDistance(1, 768)).toBe(1);
+    expect(normalizeCosineDistance(1 + 1 / Math.sqrt(768), 768)).toBeCloseTo(2, 12);
+    expect(normalizeCosineDistance(1 + 1 / Math.sqrt(3), 3)).toBeCloseTo(2.5, 12);
+  });
+
+  // The percentile transform interpolates a tabulated CDF, so its round trip is close but not exact
+  it.each(Object.keys(NORMALIZATION_STRATEGIES))('round-trips through denormalizeCosineDistance with %s', (strategy) => {
+    const context = { mean: 0.98, std: 0.05, scalingFactor: 20 };
+    [0.85, 0.97, 1, 1.04].forEach(distance => {
+      const value = normalizeCosineDistance(distance, 384, strategy, context);
+      expect(denormalizeCosineDistance(value, 384, strategy, context)).toBeCloseTo(distance, 5);
+    });
+  });
+
+  it.each(['unknown', 'constructor', 'toString', '__proto__'])('rejects the unknown strategy %s', (strategy) => {
+    expect(() => normalizeCosineDistance(1, 16, strategy)).toThrow(/Unknown normalization strategy/);
+  });
+});
@@ -0,0 +1,235 @@
+import { normalQuantile } from './distribution.js';
+
+// Running moments (count, mean and central moment sums up to the fourth order), updated one
+// value at a time with Welford/Pébay recurrences so no raw samples have to be kept.
+// Plain objects, so they can be posted between the worker and the UI.
+export const createMoments = () => ({ count: 0, mean: 0, m2: 0, m3: 0, m4: 0 });
+
+// Add one value to running moments (mutates and returns them)
+export const updateMoments = (moments, x) => {
+  const n1 = moments.count;
+  const n = n1 + 1;
+  const delta = x - moments.mean;
+  const deltaN = delta / n;
+  const deltaN2 = deltaN * deltaN;
+  const term1 = delta * deltaN * n1;
+
+  moments.count = n;
+  moments.mean += deltaN;
+  moments.m4 += term1 * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * moments.m2 - 4 * deltaN * moments.m3;
+  moments.m3 += term1 * deltaN * (n - 2) - 3 * deltaN * moments.m2;
+  moments.m2 += term1;
+  return moments;
+};
+
+// Mean, (population) variance and standard deviation, skewness and kurtosis of running moments
+export const summarizeMoments = (moments) => {
+  const { count, mean, m2, m3, m4 } = moments;
+  const variance = count > 0 ? m2 / count : 0;
+  return {
+    count,
+    mean,
+    variance,
+    std: Math.sqrt(variance),
+    skewness: m2 > 0 ? Math.sqrt(count) * m3 / Math.pow(m2, 1.5) : 0,
+    kurtosis: m2 > 0 ? count * m4 / (m2 * m2) : 0
+  };
+};
+
+// Two-sided normal critical value for a confidence level such as 0.95
+export const criticalValue = (confidence) => normalQuantile(0.5 + confidence / 2);
+
+// Confidence interval for the mean
+export const meanConfidenceInterval = (summary, confidence = 0.95) => {
+  const halfWidth = criticalValue(confidence) * summary.std / Math.sqrt(summary.count);
+  return { lower: summary.mean - halfWidth, upper: summary.mean + halfWidth, halfWidth };
+};
+
+// Relative half-width of the confidence interval for the standard deviation. By the delta
+// method SE(s) ≈ s · sqrt((κ - 1) / 4n), where κ is the kurtosis (3 for a normal law).
+export const stdRelativeHalfWidth = (summary, confidence = 0.95) => {
+  if (summary.count < 2) return Infinity;
+  return criticalValue(confidence) * Math.sqrt(Math.max(summary.kurtosis - 1, 0) / (4 * summary.count));
+};
+
+// Confidence interval for the standard deviation
+export const stdConfidenceInterval = (summary, confidence = 0.95) => {
+  const relativeHalfWidth = stdRelativeHalfWidth(summary, confidence);
+  return {
+    lower: summary.std * (1 - relativeHalfWidth),
+    upper: summary.std * (1 + relativeHalfWidth),
+    relativeHalfWidth
+  };
+};
+
+// Samples needed for the std interval to reach `relativeError`, given the kurtosis seen so far
+export const requiredSampleSize = (summary, { relativeError, confidence }) => {
+  const z = criticalValue(confidence);
+  return Math.ceil(Math.pow(z / relativeError, 2) * Math.max(summary.kurtosis - 1, 0) / 4);
+};
+
+// Fixed-bin histogram over [min, max); values outside the range are counted separately
+export const createHistogram = ({ min, max, binCount }) => ({
+  min,
+  max,
+  binCount,
+  counts: new Array(binCount).fill(0),
+  underflow: 0,
+  overflow: 0,
+  total: 0
+});
+
+// Add one value to a histogram (mutates and returns it)
+export const updateHistogram = (histogram, x) => {
+  const binSize = (histogram.max - histogram.min) / histogram.binCount;
+  const binIndex = Math.floor((x - histogram.min) / binSize);
+  if (binIndex < 0) histogram.underflow++;
+  else if (binIndex >= histogram.binCount) histogram.overflow++;
+  else histogram.counts[binIndex]++;
+  histogram.total++;
+  return histogram;
+};
+
+// Convert a histogram to chart points, normalized to density over all values seen
+export const histogramDensity = (histogram) => {
+  const binSize = (histogram.max - histogram.min) / histogram.binCount;
+  return histogram.counts.map((count, i) => ({
+    x: histogram.min + (i + 0.5) * binSize,
+    count: histogram.total > 0 ? count / histogram.total / binSize : 0
+  }));
+};
+
+// Quantile sketch: a KLL-style hierarchy of compactors (level h items weigh 2^h) plus the
+// `tailSize` smallest and largest values kept exactly, so tail quantiles such as a 1e-3
+// false-positive threshold stay exact while p · count <= tailSize. Compaction offsets
+// alternate deterministically, keeping seeded runs reproducible.
+export const createQuantileSketch = ({ k = 1024, tailSize = 1000 } = {}) => ({
+  k,
+  tailSize,
+  count: 0,
+  compactors: [[]],
+  flip: false,
+  lowTail: [],
+  highTail: []
+});
+
+// Capacity of compactor `level` in a sketch with `height` levels
+const compactorCapacity = (k, level, height) => {
+  return Math.max(2, Math.ceil(k * Math.pow(2 / 3, height - 1 - level)));
+};
+
+// Insert into a sorted array bounded to `limit` items, keeping the smallest (or largest) ones
+const insertBounded = (sorted, x, limit, keepSmallest) => {
+  if (sorted.length >= limit) {
+    if (keepSmallest ? x >= sorted[sorted.length - 1] : x <= sorted[0]) return;
+    if (keepSmallest) sorted.pop(); else sorted.shift();
+  }
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < x) lo = mid + 1; else hi = mid;
+  }
+  sorted.splice(lo, 0, x);
+};
+
+// Add one value to a quantile sketch (mutates and returns it)
+export const updateQuantileSketch = (sketch, x) => {
+  sketch.count++;
+  insertBounded(sketch.lowTail, x, sketch.tailSize, true);
+  insertBounded(sketch.highTail, x, sketch.tailSize, false);
+  sketch.compactors[0].push(x);
+
+  const height = sketch.compactors.length;
+  for (let level = 0; level < height; level++) {
+    const items = sketch.compactors[level];
+    if (items.length < compactorCapacity(sketch.k, level, height)) continue;
+
+    // Sort, then promote every other item to the next level with doubled weight
+    if (level + 1 === sketch.compactors.length) sketch.compactors.push([]);
+    items.sort((a, b) => a - b);
+    const keep = items.length % 2 === 1 ? items.pop() : null;
+    const offset = sketch.flip ? 1 : 0;
+    sketch.flip = !sketch.flip;
+    for (let i = offset; i < items.length; i += 2) sketch.compactors[level + 1].push(items[i]);
+    sketch.compactors[level] = keep === null ? [] : [keep];
+    break;
+  }
+  return sketch;
+};
+
+// Weighted, sorted items of a sketch
+const sketchItems = (sketch) => {
+  const items = [];
+  sketch.compactors.forEach((level, h) => {
+    const weight = Math.pow(2, h);
+    level.forEach(value => items.push({ value, weight }));
+  });
+  return items.sort((a, b) => a.value - b.value);
+};
+
+// Approximate p-quantile of the values added to a sketch (exact in the tails)
+export const sketchQuantile = (sketch, p) => {
+  if (sketch.count === 0) return NaN;
+  const rank = p * sketch.count;
+
+  // Exact tails
+  if (rank <= sketch.lowTail.length) return sketch.lowTail[Math.max(0, Math.ceil(rank) - 1)];
+  const fromTop = sketch.count - rank;
+  if (fromTop <= sketch.highTail.length) {
+    return sketch.highTail[Math.max(0, sketch.highTail.length - Math.ceil(fromTop))];
+  }
+
+  const items = sketchItems(sketch);
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  let cumulative = 0;
+  for (const item of items) {
+    cumulative += item.weight;
+    if (cumulative >= p * totalWeight) return item.value;
+  }
+  return items[items.length - 1].value;
+};
+
+// Approximate fraction of values added to a sketch that are <= x (exact in the tails)
+export const sketchCdf = (sketch, x) => {
+  if (sketch.count === 0) return NaN;
+  const { lowTail, highTail } = sketch;
+  if (lowTail.length > 0 && x < lowTail[lowTail.length - 1]) {
+    return lowTail.filter(value => value <= x).length / sketch.count;
+  }
+  if (highTail.length > 0 && x >= highTail[0]) {
+    return 1 - highTail.filter(value => value > x).length / sketch.count;
+  }
+
+  // Between the tails: at least the whole low tail is below x and the whole high tail above
+  const items = sketchItems(sketch);
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  const below = items.reduce((sum, item) => (item.value <= x ? sum + item.weight : sum), 0);
+  return Math.min(Math.max(below / totalWeight, lowTail.length / sketch.count), 1 - highTail.length / sketch.count);
+};
+
+// Streaming statistics for one stream of values: running moments, a fixed-bin histogram and
+// a quantile sketch, all in bounded memory regardless of how many values are added.
+// Pass `sketch: false` to skip the sketch for streams whose quantiles are not needed.
+export const createStreamingStats = ({ histogram, sketch } = {}) => ({
+  moments: createMoments(),
+  histogram: createHistogram(histogram),
+  sketch: sketch === false ? null : createQuantileSketch(sketch)
+});
+
+// Add one value to streaming statistics (mutates and returns them)
+export const updateStreamingStats = (stats, x) => {
+  updateMoments(stats.moments, x);
+  updateHistogram(stats.histogram, x);
+  if (stats.sketch) updateQuantileSketch(stats.sketch, x);
+  return stats;
+};
+
+// Summary of streaming statistics: moments plus a few reference quantiles when sketched
+export const summarizeStreamingStats = (stats) => ({
+  ...summarizeMoments(stats.moments),
+  quantiles: stats.sketch ? {
+    p01: sketchQuantile(stats.sketch, 0.01),
+    p50: sketchQuantile(stats.sketch, 0.5),
+    p99: sketchQuantile(stats.sketch, 0.99)
+  } : null
+});
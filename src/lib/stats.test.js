@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom } from './random.js';
+import { normalRandom } from './sampling.js';
+import { createStreamingStats, updateStreamingStats, summarizeStreamingStats } from './stats.js';
+
+// Batch moments of an array, computed from the stored values
+const batchSummary = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, x) => sum + x, 0) / n;
+  const centralSum = (power) => values.reduce((sum, x) => sum + Math.pow(x - mean, power), 0);
+  const variance = centralSum(2) / n;
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    skewness: centralSum(3) / n / Math.pow(variance, 1.5),
+    kurtosis: centralSum(4) / n / (variance * variance)
+  };
+};
+
+describe('streaming statistics', () => {
+  const random = createRandom(11);
+  const values = Array.from({ length: 20000 }, () => Math.exp(0.3 * normalRandom(random)));
+  const stats = createStreamingStats({ histogram: { min: 0, max: 3, binCount: 30 } });
+  values.forEach(x => updateStreamingStats(stats, x));
+  const summary = summarizeStreamingStats(stats);
+  const sorted = [...values].sort((a, b) => a - b);
+
+  it('matches the batch moments', () => {
+    const batch = batchSummary(values);
+    expect(summary.count).toBe(values.length);
+    expect(summary.mean).toBeCloseTo(batch.mean, 10);
+    expect(summary.std).toBeCloseTo(batch.std, 10);
+    expect(summary.skewness).toBeCloseTo(batch.skewness, 8);
+    expect(summary.kurtosis).toBeCloseTo(batch.kurtosis, 8);
+  });
+
+  it('counts every value in the histogram', () => {
+    const { counts, underflow, overflow, total } = stats.histogram;
+    expect(total).toBe(values.length);
+    expect(counts.reduce((sum, count) => sum + count, 0) + underflow + overflow).toBe(values.length);
+    expect(overflow).toBe(values.filter(x => x >= 3).length);
+    expect(counts[10]).toBe(values.filter(x => x >= 1 && x < 1.1).length);
+  });
+
+  it('gives exact tail quantiles and a close median', () => {
+    expect(summary.quantiles.p01).toBe(sorted[0.01 * values.length - 1]);
+    expect(summary.quantiles.p99).toBe(sorted[0.99 * values.length]);
+    const medianRank = sorted.indexOf(summary.quantiles.p50) / values.length;
+    expect(Math.abs(medianRank - 0.5)).toBeLessThan(0.01);
+  });
+});
@@ -0,0 +1,268 @@
+import { parseDelimitedLine, readLines } from './delimited.js';
+
+// Readers for embeddings stored as text, one vector per row:
+//   csv / tsv: the components as separate columns, or a single column holding the whole
+//              vector ("[0.1, 0.2, ...]" or space-separated), with or without a header row
+//   jsonl:     one JSON object per line with an array field (or a bare JSON array per line)
+// Id, text and label columns are recognized by name (see TEXT_COLUMN_NAMES). Rows that cannot
+// be read are skipped and reported by line number instead of failing the whole file.
+
+export const TEXT_EMBEDDING_FORMATS = ['csv', 'tsv', 'jsonl'];
+
+// Column (or JSON field) names with a special meaning, matched case-insensitively
+export const TEXT_COLUMN_NAMES = {
+  id: ['id', '_id', 'doc_id', 'uuid'],
+  text: ['text', 'content', 'sentence', 'document'],
+  label: ['label', 'class', 'category', 'target'],
+  vector: ['embedding', 'vector', 'embeddings', 'values']
+};
+
+// Row errors kept for display; further errors are only counted
+export const MAX_ROW_ERRORS = 20;
+
+// Rows allocated up front; the buffer doubles as rows come in, up to the sample limit
+const INITIAL_CAPACITY = 1024;
+
+// Format of a file from its extension, or null when it is not a text embedding file
+export const textFormatOf = (fileName) => {
+  const match = /\.(csv|tsv|jsonl|ndjson)$/i.exec(fileName);
+  if (!match) return null;
+  const format = match[1].toLowerCase();
+  return format === 'ndjson' ? 'jsonl' : format;
+};
+
+const isNumeric = (field) => field.trim() !== '' && Number.isFinite(Number(field));
+
+// Whether a field holds a whole vector rather than a single component
+const isVectorField = (field) => {
+  const text = field.trim();
+  return text.startsWith('[') || (/\s/.test(text) && text.split(/\s+/).every(isNumeric));
+};
+
+// Components of a vector written in one field: a JSON array or whitespace/comma-separated numbers
+const parseVectorField = (field) => {
+  const text = field.trim();
+  if (text.startsWith('[')) {
+    let values;
+    try {
+      values = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`the vector is not a valid JSON array (${error.message})`);
+    }
+    return checkVector(values);
+  }
+  return text.split(/[\s,;]+/).filter(Boolean).map(parseComponent);
+};
+
+const parseComponent = (field, index) => {
+  if (!isNumeric(field)) throw new Error(`value ${index + 1} ("${field.trim()}") is not a number`);
+  return Number(field);
+};
+
+const checkVector = (values) => {
+  if (!Array.isArray(values)) throw new Error('the vector is not an array');
+  values.forEach((value, index) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`value ${index + 1} (${JSON.stringify(value)}) is not a number`);
+    }
+  });
+  return values;
+};
+
+// Index (or key) of the first name matching a role, or -1 (or null)
+const findColumn = (names, role) => {
+  const wanted = TEXT_COLUMN_NAMES[role];
+  return names.findIndex(name => wanted.includes(String(name).trim().toLowerCase()));
+};
+
+// Column layout of a CSV/TSV file from its first non-empty line. Returns { header, columns, row }:
+// whether that line is a header, the names of the recognized columns by role, and
+// `row(fields)` turning the fields of a data line into { vector, id, label }.
+//
+// The line is a header when it has no numbers at all, or names a recognized column. A line
+// mixing numbers with other text (such as "0.1,0.2,cat") is a data row whose text columns
+// cannot be told apart without a header, so it is rejected.
+const delimitedLayout = (fields) => {
+  const isData = (field) => isNumeric(field) || isVectorField(field);
+  const header = fields.some(field => !isData(field));
+  if (header && fields.some(isData) && Object.keys(TEXT_COLUMN_NAMES).every(role => findColumn(fields, role) === -1)) {
+    throw new Error(`the first row mixes numbers and text; label, id and text columns need a header row naming them (such as ${TEXT_COLUMN_NAMES.label[0]})`);
+  }
+  if (!header) {
+    if (fields.length === 1 && isVectorField(fields[0])) {
+      return { header: false, row: (values) => ({ vector: parseVectorField(values[0]) }) };
+    }
+    return { header: false, row: (values) => ({ vector: values.map(parseComponent) }) };
+  }
+
+  const columns = {};
+  Object.keys(TEXT_COLUMN_NAMES).forEach(role => {
+    const index = findColumn(fields, role);
+    if (index !== -1) columns[role] = index;
+  });
+  const reserved = new Set(Object.values(columns));
+  const components = fields.map((_, index) => index).filter(index => !reserved.has(index));
+  if (columns.vector === undefined && components.length === 0) {
+    throw new Error('the header has no vector column and no component columns');
+  }
+
+  const names = {};
+  Object.keys(columns).forEach(role => { names[role] = fields[columns[role]].trim(); });
+
+  return {
+    header: true,
+    columns: names,
+    row: (values) => {
+      if (values.length !== fields.length) {
+        throw new Error(`expected ${fields.length} columns like the header, found ${values.length}`);
+      }
+      const vector = columns.vector !== undefined
+        ? parseVectorField(values[columns.vector])
+        : components.map(index => {
+          if (!isNumeric(values[index])) throw new Error(`column "${fields[index].trim()}" ("${values[index].trim()}") is not a number`);
+          return Number(values[index]);
+        });
+      return {
+        vector,
+        id: columns.id !== undefined ? values[columns.id] : undefined,
+        label: columns.label !== undefined ? values[columns.label] : undefined
+      };
+    }
+  };
+};
+
+// Field layout of a JSONL file from its first record: a bare array, or an object whose vector
+// is the first field named like a vector, else its only array field. Id, label and text fields
+// are optional and looked up in every record, since the first one may lack them; `columns`
+// collects the names seen so far. Same shape as delimitedLayout.
+const jsonLayout = (record) => {
+  if (Array.isArray(record)) return { row: (value) => ({ vector: checkVector(value) }) };
+  if (record === null || typeof record !== 'object') throw new Error('expected a JSON object or array');
+
+  const keyOf = (keys, role) => {
+    const index = findColumn(keys, role);
+    return index === -1 ? null : keys[index];
+  };
+  const keys = Object.keys(record);
+  let vectorKey = keyOf(keys, 'vector');
+  if (vectorKey === null) {
+    const arrays = keys.filter(key => Array.isArray(record[key]));
+    if (arrays.length !== 1) {
+      throw new Error(`cannot tell which field holds the vector; name it one of ${TEXT_COLUMN_NAMES.vector.join(', ')}`);
+    }
+    vectorKey = arrays[0];
+  }
+  const columns = { vector: vectorKey };
+  const optionalField = (value, valueKeys, role) => {
+    const key = keyOf(valueKeys, role);
+    if (key === null) return undefined;
+    if (columns[role] === undefined) columns[role] = key;
+    return value[key];
+  };
+
+  return {
+    columns,
+    row: (value) => {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) throw new Error('expected a JSON object');
+      if (!(vectorKey in value)) throw new Error(`field "${vectorKey}" is missing`);
+      const valueKeys = Object.keys(value);
+      optionalField(value, valueKeys, 'text');
+      return {
+        vector: checkVector(value[vectorKey]),
+        id: optionalField(value, valueKeys, 'id'),
+        label: optionalField(value, valueKeys, 'label')
+      };
+    }
+  };
+};
+
+// Read a CSV, TSV or JSONL Blob of embeddings, keeping a uniform random sample of at most
+// `limit` rows (reservoir sampling). The first readable row sets the dimension; later rows of
+// another length are rejected. Returns { dimension, count, data, ids, labels, columns, errors,
+// errorCount } where `data` holds the sampled rows back to back (Float32Array), `ids` and
+// `labels` their id and label values (strings, or null when the file has no such column),
+// `columns` the names of the recognized columns by role and `errors` the first
+// MAX_ROW_ERRORS skipped rows as { line, message }. Text columns are recognized so they are
+// not read as components, but are not kept.
+export const readTextEmbeddings = async (blob, format, { limit, random, onProgress }) => {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  let layout = null;
+  let dimension = 0;
+  let data = null;
+  let ids = null;
+  let labels = null;
+  let count = 0;
+  let errorCount = 0;
+  const errors = [];
+
+  const addRow = ({ vector, id, label }) => {
+    if (data === null) {
+      dimension = vector.length;
+      if (dimension === 0) throw new Error('the vector is empty');
+      data = new Float32Array(Math.min(limit, INITIAL_CAPACITY) * dimension);
+    } else if (vector.length !== dimension) {
+      throw new Error(`expected ${dimension} values like the first vector, found ${vector.length}`);
+    }
+
+    let slot = count;
+    count++;
+    if (slot >= limit) {
+      slot = Math.floor(random() * count);
+      if (slot >= limit) return;
+    }
+    if ((slot + 1) * dimension > data.length) {
+      const grown = new Float32Array(Math.min(limit, 2 * data.length / dimension) * dimension);
+      grown.set(data);
+      data = grown;
+    }
+    data.set(vector, slot * dimension);
+    // Ids and labels may first show up on a later row; the rows kept before it get null
+    const kept = Math.min(count - 1, limit);
+    if (!ids && id !== undefined && id !== null) ids = new Array(kept).fill(null);
+    if (!labels && label !== undefined && label !== null) labels = new Array(kept).fill(null);
+    if (ids) ids[slot] = id === undefined || id === null ? null : String(id);
+    if (labels) labels[slot] = label === undefined || label === null || label === '' ? null : String(label);
+  };
+
+  await readLines(blob, (line, lineNumber) => {
+    if (line.trim() === '') return;
+    try {
+      if (format === 'jsonl') {
+        let value;
+        try {
+          value = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`invalid JSON (${error.message})`);
+        }
+        if (layout === null) layout = jsonLayout(value);
+        addRow(layout.row(value));
+      } else {
+        const fields = parseDelimitedLine(line, delimiter);
+        if (layout === null) {
+          layout = delimitedLayout(fields);
+          if (layout.header) return;
+        }
+        addRow(layout.row(fields));
+      }
+    } catch (error) {
+      errorCount++;
+      if (errors.length < MAX_ROW_ERRORS) errors.push({ line: lineNumber, message: error.message });
+    }
+  }, { onProgress });
+
+  if (count === 0) {
+    const reason = errors.length > 0 ? `; line ${errors[0].line}: ${errors[0].message}` : '';
+    throw new Error(`No vectors found in the file${reason}`);
+  }
+  const rows = Math.min(count, limit);
+  return {
+    dimension,
+    count,
+    data: data.length === rows * dimension ? data : data.slice(0, rows * dimension),
+    ids: ids && ids.slice(0, rows),
+    labels: labels && labels.slice(0, rows),
+    columns: layout.columns || {},
+    errors,
+    errorCount
+  };
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom } from './random.js';
+import { readTextEmbeddings } from './textEmbeddings.js';
+
+const read = (text, format, limit = 100) => {
+  return readTextEmbeddings(new Blob([text]), format, { limit, random: createRandom(1) });
+};
+
+describe('readTextEmbeddings', () => {
+  it('reads a headerless CSV of components', async () => {
+    const result = await read('0.1,0.2\n0.3,0.4\n', 'csv');
+    expect(result.count).toBe(2);
+    expect(result.dimension).toBe(2);
+    expect(Array.from(result.data)).toEqual([0.1, 0.2, 0.3, 0.4].map(Math.fround));
+    expect(result.labels).toBeNull();
+  });
+
+  it('reads label columns named in a header', async () => {
+    const result = await read('x,y,label\n0.1,0.2,cat\n0.3,0.4,dog\n', 'csv');
+    expect(result.labels).toEqual(['cat', 'dog']);
+    expect(result.columns).toEqual({ label: 'label' });
+  });
+
+  it('rejects a headerless CSV with a text column instead of reading the first row as a header', async () => {
+    await expect(read('0.1,0.2,cat\n0.3,0.4,dog\n', 'csv')).rejects.toThrow(/need a header row/);
+  });
+
+  it('skips rows of another dimension and reports their line numbers', async () => {
+    const result = await read('0.1\t0.2\n0.3\n0.5\t0.6\n', 'tsv');
+    expect(result.count).toBe(2);
+    expect(result.errorCount).toBe(1);
+    expect(result.errors[0].line).toBe(2);
+  });
+
+  it('keeps JSONL labels and ids that only appear after the first record', async () => {
+    const result = await read('{"embedding":[1,2]}\n{"id":3,"embedding":[5,6],"label":"b"}\n{"id":4,"embedding":[5,7]}\n', 'jsonl');
+    expect(result.ids).toEqual([null, '3', '4']);
+    expect(result.labels).toEqual([null, 'b', null]);
+    expect(result.columns).toEqual({ vector: 'embedding', id: 'id', label: 'label' });
+  });
+
+  it('keeps a uniform sample of at most `limit` rows', async () => {
+    const lines = Array.from({ length: 1000 }, (_, i) => JSON.stringify({ embedding: [i, 1], label: String(i % 2) }));
+    const result = await read(lines.join('\n'), 'jsonl', 50);
+    expect(result.count).toBe(1000);
+    expect(result.data.length).toBe(100);
+    expect(result.labels).toHaveLength(50);
+    expect(result.labels.every(label => label === '0' || label === '1')).toBe(true);
+  });
+});
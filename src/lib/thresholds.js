@@ -0,0 +1,32 @@
+import { cosineDistanceCdf, cosineDistanceQuantile } from './distribution.js';
+import { getNormalizationStrategy, DEFAULT_NORMALIZATION } from './normalization.js';
+
+// Thresholds and p-values under the null hypothesis that two vectors are independent
+// random directions. Small cosine distances are the "interesting" tail: a pair at distance
+// x in dimension `dim` is as close as random pairs are only with probability P(X <= x).
+
+const clampDistance = (distance) => Math.max(0, Math.min(2, distance));
+
+// One-sided p-value of a cosine distance: the probability that two random unit vectors
+// are at least this close
+export const distancePValue = (distance, dim) => cosineDistanceCdf(clampDistance(distance), dim);
+
+// Cosine distance below which only a fraction `pValue` of random pairs fall
+export const distanceThreshold = (pValue, dim) => cosineDistanceQuantile(pValue, dim);
+
+// Cosine similarity above which only a fraction `pValue` of random pairs fall
+export const similarityThreshold = (pValue, dim) => 1 - distanceThreshold(pValue, dim);
+
+// Translate a distance threshold from one dimension to another, keeping its null
+// percentile: a cut that admits 1% of random pairs in `fromDim` admits 1% in `toDim`
+export const translateThreshold = (distance, fromDim, toDim) => {
+  return distanceThreshold(distancePValue(distance, fromDim), toDim);
+};
+
+// Translate a distance threshold by keeping its normalized value instead: normalize in
+// `fromDim` and map the result back to a raw distance in `toDim`
+export const translateNormalizedThreshold = (distance, fromDim, toDim, strategy = DEFAULT_NORMALIZATION) => {
+  const normalization = getNormalizationStrategy(strategy);
+  const normalized = normalization.createNormalizer(fromDim).normalize(clampDistance(distance));
+  return clampDistance(normalization.createNormalizer(toDim).denormalize(normalized));
+};
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { distancePValue, distanceThreshold, translateThreshold } from './thresholds.js';
+
+describe('distanceThreshold and distancePValue', () => {
+  it.each([2, 16, 384, 4096])('are inverse functions in dimension %i', (dim) => {
+    [1e-6, 1e-3, 0.05, 0.5, 0.9].forEach(pValue => {
+      const threshold = distanceThreshold(pValue, dim);
+      expect(distancePValue(threshold, dim) / pValue).toBeCloseTo(1, 3);
+    });
+  });
+
+  it('puts half of the random pairs below distance 1', () => {
+    expect(distancePValue(1, 768)).toBeCloseTo(0.5, 10);
+    expect(distanceThreshold(0.5, 768)).toBeCloseTo(1, 8);
+  });
+
+  it('gives smaller thresholds for smaller p-values', () => {
+    expect(distanceThreshold(1e-4, 128)).toBeLessThan(distanceThreshold(1e-2, 128));
+  });
+
+  it('keeps the null percentile when translating between dimensions', () => {
+    const translated = translateThreshold(distanceThreshold(0.01, 128), 128, 1024);
+    expect(distancePValue(translated, 1024)).toBeCloseTo(0.01, 8);
+  });
+});
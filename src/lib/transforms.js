@@ -0,0 +1,434 @@
+import { normalRandom } from './sampling.js';
+import { createRandom, deriveSeed, DEFAULT_SEED } from './random.js';
+import { simulateEmbeddings } from './embeddings.js';
+import { MIN_DIMENSION } from './simulation.js';
+
+// Transforms applied to imported embeddings before their distances are sampled. Real
+// embeddings share a common mean direction and a few dominant directions, so their distances
+// center well below 1.0; these transforms remove that anisotropy.
+//
+// Each transform exposes `fit(matrix, options, random)`, returning
+//   apply(data, offset)   transform the row starting at `offset` in place
+//   summary               what was fitted, for display (may be null)
+//   dimension             (optional) length of the rows after the transform, when smaller;
+//                         `apply` then writes them to the start of each input row
+// Transforms with `hasComponents` act on the top principal directions; their `components`
+// option is the number of directions, defaulting to `defaultComponents(dimension)`, between
+// `minComponents` (default 1) and `maxComponents(dimension)` (default MAX_COMPONENTS, below
+// the dimension).
+
+// Rows used to fit principal directions; more rows barely move the top directions
+export const PCA_FIT_ROWS = 2000;
+
+// Upper bound for the `components` option
+export const MAX_COMPONENTS = 64;
+
+// Whitening adds this share of the average variance to every direction's variance before
+// dividing by its square root, so directions with (almost) no variance are not blown up
+export const WHITENING_EPSILON = 1e-6;
+
+// Orthogonal iteration stops when the variance held by the requested directions changes by
+// less than this (relative). Single directions are not compared: below the dominant ones
+// variances are nearly equal, so those directions keep rotating without explaining more.
+const PCA_TOLERANCE = 1e-4;
+const PCA_MAX_ITERATIONS = 50;
+
+// Extra directions iterated along with the requested ones, which speeds up convergence
+const PCA_OVERSAMPLING = 5;
+
+// Mean row of a matrix
+const meanRow = (matrix) => {
+  const { rows, dimension, data } = matrix;
+  const mean = new Float64Array(dimension);
+  for (let i = 0; i < rows; i++) {
+    for (let k = 0; k < dimension; k++) mean[k] += data[i * dimension + k];
+  }
+  for (let k = 0; k < dimension; k++) mean[k] /= rows;
+  return mean;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let k = 0; k < a.length; k++) sum += a[k] * b[k];
+  return sum;
+};
+
+// Orthonormalize `count` vectors stored back to back in `vectors`, in place (modified Gram-Schmidt)
+const orthonormalize = (vectors, count, dimension) => {
+  for (let j = 0; j < count; j++) {
+    const a = j * dimension;
+    for (let i = 0; i < j; i++) {
+      const b = i * dimension;
+      let projection = 0;
+      for (let k = 0; k < dimension; k++) projection += vectors[a + k] * vectors[b + k];
+      for (let k = 0; k < dimension; k++) vectors[a + k] -= projection * vectors[b + k];
+    }
+    let sumSquared = 0;
+    for (let k = 0; k < dimension; k++) sumSquared += vectors[a + k] * vectors[a + k];
+    const inverseNorm = 1 / Math.sqrt(sumSquared);
+    for (let k = 0; k < dimension; k++) vectors[a + k] *= inverseNorm;
+  }
+};
+
+// Eigen-decomposition of a small symmetric `size` × `size` matrix (row-major, overwritten), by
+// cyclic Jacobi rotations. Returns { values, vectors } with the eigenvectors as the columns of
+// `vectors` (row-major).
+const symmetricEigen = (matrix, size) => {
+  const vectors = new Float64Array(size * size);
+  for (let i = 0; i < size; i++) vectors[i * size + i] = 1;
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    let diagonal = 0;
+    for (let i = 0; i < size; i++) {
+      diagonal += matrix[i * size + i] ** 2;
+      for (let j = i + 1; j < size; j++) offDiagonal += matrix[i * size + j] ** 2;
+    }
+    if (offDiagonal <= 1e-24 * diagonal) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        const apq = matrix[p * size + q];
+        if (apq === 0) continue;
+        // Rotation angle zeroing matrix[p][q]
+        const theta = (matrix[q * size + q] - matrix[p * size + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const sn = t * c;
+        for (let k = 0; k < size; k++) {
+          const akp = matrix[k * size + p];
+          const akq = matrix[k * size + q];
+          matrix[k * size + p] = c * akp - sn * akq;
+          matrix[k * size + q] = sn * akp + c * akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = matrix[p * size + k];
+          const aqk = matrix[q * size + k];
+          matrix[p * size + k] = c * apk - sn * aqk;
+          matrix[q * size + k] = sn * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = vectors[k * size + p];
+          const vkq = vectors[k * size + q];
+          vectors[k * size + p] = c * vkp - sn * vkq;
+          vectors[k * size + q] = sn * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: Float64Array.from({ length: size }, (_, i) => matrix[i * size + i]), vectors };
+};
+
+// Sum of the `count` largest values
+const topSum = (values, count) => Array.from(values).sort((a, b) => b - a).slice(0, count).reduce((sum, value) => sum + value, 0);
+
+// Top `count` principal directions of the rows around `mean`, by orthogonal (block power)
+// iteration on up to PCA_FIT_ROWS random rows. The covariance matrix is never formed: each
+// iteration multiplies by it through the rows, costing O(rows × dimension × count).
+// Returns { vectors, variances, totalVariance } with variances in decreasing order.
+export const principalComponents = (matrix, mean, count, random) => {
+  const { rows, dimension, data } = matrix;
+  const fitRows = [];
+  if (rows <= PCA_FIT_ROWS) {
+    for (let i = 0; i < rows; i++) fitRows.push(i);
+  } else {
+    // Partial Fisher-Yates shuffle of the row indices
+    const indices = Array.from({ length: rows }, (_, i) => i);
+    for (let i = 0; i < PCA_FIT_ROWS; i++) {
+      const j = i + Math.floor(random() * (rows - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+      fitRows.push(indices[i]);
+    }
+  }
+
+  // Centered copy of the fitted rows
+  const n = fitRows.length;
+  const centered = new Float64Array(n * dimension);
+  let totalVariance = 0;
+  fitRows.forEach((row, i) => {
+    for (let k = 0; k < dimension; k++) {
+      const value = data[row * dimension + k] - mean[k];
+      centered[i * dimension + k] = value;
+      totalVariance += value * value;
+    }
+  });
+  totalVariance /= n;
+
+  const width = Math.min(count + PCA_OVERSAMPLING, dimension);
+  let vectors = new Float64Array(width * dimension);
+  for (let k = 0; k < vectors.length; k++) vectors[k] = normalRandom(random);
+  orthonormalize(vectors, width, dimension);
+  let variances = new Float64Array(width);
+  const projections = new Float64Array(width);
+
+  // covariance × vectors, accumulated row by row
+  const multiply = () => {
+    const products = new Float64Array(width * dimension);
+    for (let i = 0; i < n; i++) {
+      const r = i * dimension;
+      for (let j = 0; j < width; j++) {
+        const v = j * dimension;
+        let projection = 0;
+        for (let k = 0; k < dimension; k++) projection += centered[r + k] * vectors[v + k];
+        projections[j] = projection / n;
+      }
+      for (let j = 0; j < width; j++) {
+        const v = j * dimension;
+        const projection = projections[j];
+        for (let k = 0; k < dimension; k++) products[v + k] += projection * centered[r + k];
+      }
+    }
+    return products;
+  };
+
+  for (let iteration = 0; iteration < PCA_MAX_ITERATIONS; iteration++) {
+    const products = multiply();
+    const previous = variances;
+    variances = new Float64Array(width);
+    for (let j = 0; j < width; j++) {
+      for (let k = j * dimension; k < (j + 1) * dimension; k++) variances[j] += products[k] * vectors[k];
+    }
+    orthonormalize(products, width, dimension);
+    vectors = products;
+    const explained = topSum(variances, count);
+    if (Math.abs(explained - topSum(previous, count)) <= PCA_TOLERANCE * explained) break;
+  }
+
+  // Orthogonal iteration converges to the leading subspace, but directions of close variances
+  // may still be mixed within it. A Rayleigh-Ritz step diagonalizes the covariance restricted
+  // to the subspace, so the directions kept are uncorrelated on the fitted rows.
+  const products = multiply();
+  const projected = new Float64Array(width * width);
+  for (let a = 0; a < width; a++) {
+    for (let b = 0; b < width; b++) {
+      let sum = 0;
+      for (let k = 0; k < dimension; k++) sum += vectors[a * dimension + k] * products[b * dimension + k];
+      projected[a * width + b] = sum;
+    }
+  }
+  for (let a = 0; a < width; a++) {
+    for (let b = a + 1; b < width; b++) {
+      const mean = (projected[a * width + b] + projected[b * width + a]) / 2;
+      projected[a * width + b] = mean;
+      projected[b * width + a] = mean;
+    }
+  }
+  const eigen = symmetricEigen(projected, width);
+  const order = Array.from(eigen.values.keys()).sort((a, b) => eigen.values[b] - eigen.values[a]).slice(0, count);
+  return {
+    vectors: order.map(j => {
+      const vector = new Float64Array(dimension);
+      for (let a = 0; a < width; a++) {
+        const weight = eigen.vectors[a * width + j];
+        for (let k = 0; k < dimension; k++) vector[k] += weight * vectors[a * dimension + k];
+      }
+      return vector;
+    }),
+    variances: order.map(j => Math.max(0, eigen.values[j])),
+    totalVariance
+  };
+};
+
+// Apply `(centered row) => void` to each row after subtracting `mean`, writing the result back
+const centeredApply = (mean, transform) => {
+  const dimension = mean.length;
+  const centered = new Float64Array(dimension);
+  return (data, offset) => {
+    for (let k = 0; k < dimension; k++) centered[k] = data[offset + k] - mean[k];
+    transform(centered);
+    for (let k = 0; k < dimension; k++) data[offset + k] = centered[k];
+  };
+};
+
+// Principal directions of a matrix with a `components` option, with the share of variance they hold
+const fitComponents = (matrix, options, random) => {
+  const mean = meanRow(matrix);
+  const pca = principalComponents(matrix, mean, options.components, random);
+  const explained = pca.variances.reduce((sum, variance) => sum + variance, 0);
+  return { mean, pca, explainedVariance: pca.totalVariance > 0 ? explained / pca.totalVariance : 0 };
+};
+
+export const EMBEDDING_TRANSFORMS = {
+  center: {
+    id: 'center',
+    label: 'Mean-centering',
+    description: 'Subtracts the mean embedding, removing the direction all vectors share',
+    fit: (matrix) => {
+      const mean = meanRow(matrix);
+      let rowNorms = 0;
+      for (let i = 0; i < matrix.rows; i++) {
+        let sumSquared = 0;
+        for (let k = 0; k < matrix.dimension; k++) sumSquared += matrix.data[i * matrix.dimension + k] ** 2;
+        rowNorms += Math.sqrt(sumSquared);
+      }
+      return {
+        apply: centeredApply(mean, () => {}),
+        summary: { meanShare: Math.sqrt(dot(mean, mean)) / (rowNorms / matrix.rows) }
+      };
+    }
+  },
+  flatten: {
+    id: 'flatten',
+    label: 'Flatten top directions',
+    description: 'Centers, then rescales the top principal directions to the average variance of the others; a partial PCA whitening that leaves the rest of the covariance as is',
+    hasComponents: true,
+    defaultComponents: (dimension) => Math.min(10, dimension - 1),
+    fit: (matrix, options, random) => {
+      const { mean, pca, explainedVariance } = fitComponents(matrix, options, random);
+      const remaining = pca.totalVariance - pca.variances.reduce((sum, variance) => sum + variance, 0);
+      const residualVariance = remaining / (matrix.dimension - options.components);
+      // Scale of each direction; directions without variance are left alone
+      const scales = pca.variances.map(variance => (variance > 0 && residualVariance > 0 ? Math.sqrt(residualVariance / variance) : 1));
+      return {
+        apply: centeredApply(mean, (row) => {
+          pca.vectors.forEach((vector, j) => {
+            const shift = (scales[j] - 1) * dot(row, vector);
+            for (let k = 0; k < row.length; k++) row[k] += shift * vector[k];
+          });
+        }),
+        summary: { components: options.components, explainedVariance }
+      };
+    }
+  },
+  abtt: {
+    id: 'abtt',
+    label: 'All-but-the-top',
+    description: 'Centers, then removes the top principal directions (Mu & Viswanath, 2018; about d/100 of them)',
+    hasComponents: true,
+    defaultComponents: (dimension) => Math.max(1, Math.min(Math.round(dimension / 100), dimension - 1)),
+    fit: (matrix, options, random) => {
+      const { mean, pca, explainedVariance } = fitComponents(matrix, options, random);
+      return {
+        apply: centeredApply(mean, (row) => {
+          pca.vectors.forEach(vector => {
+            const projection = dot(row, vector);
+            for (let k = 0; k < row.length; k++) row[k] -= projection * vector[k];
+          });
+        }),
+        summary: { components: options.components, explainedVariance }
+      };
+    }
+  },
+  whiten: {
+    id: 'whiten',
+    label: 'PCA whitening',
+    description: 'Centers, projects onto the top principal directions and divides each by the square root of its variance, giving vectors of that many dimensions with identity covariance (full rank when the components equal the dimension)',
+    hasComponents: true,
+    minComponents: MIN_DIMENSION,
+    maxComponents: (dimension) => Math.min(MAX_COMPONENTS, dimension),
+    defaultComponents: (dimension) => Math.min(16, dimension),
+    fit: (matrix, options, random) => {
+      const { mean, pca, explainedVariance } = fitComponents(matrix, options, random);
+      const epsilon = WHITENING_EPSILON * pca.totalVariance / matrix.dimension;
+      const scales = pca.variances.map(variance => 1 / Math.sqrt(variance + epsilon));
+      const centered = new Float64Array(matrix.dimension);
+      return {
+        apply: (data, offset) => {
+          for (let k = 0; k < matrix.dimension; k++) centered[k] = data[offset + k] - mean[k];
+          pca.vectors.forEach((vector, j) => {
+            data[offset + j] = scales[j] * dot(centered, vector);
+          });
+        },
+        summary: { components: options.components, explainedVariance, dimension: options.components },
+        dimension: options.components
+      };
+    }
+  },
+  l2: {
+    id: 'l2',
+    label: 'L2 renormalization',
+    description: 'Rescales every vector to unit length (all-zero vectors are left as they are)',
+    fit: (matrix) => ({
+      apply: (data, offset) => {
+        let sumSquared = 0;
+        for (let k = offset; k < offset + matrix.dimension; k++) sumSquared += data[k] * data[k];
+        if (sumSquared === 0) return;
+        const inverseNorm = 1 / Math.sqrt(sumSquared);
+        for (let k = offset; k < offset + matrix.dimension; k++) data[k] *= inverseNorm;
+      },
+      summary: null
+    })
+  }
+};
+
+// Look up a transform by id
+export const getEmbeddingTransform = (id) => {
+  if (!Object.hasOwn(EMBEDDING_TRANSFORMS, id)) {
+    throw new Error(`Unknown transform "${id}". Available: ${Object.keys(EMBEDDING_TRANSFORMS).join(', ')}`);
+  }
+  return EMBEDDING_TRANSFORMS[id];
+};
+
+// Validate a pipeline of steps ({ id, components }) for embeddings of `dimension`, filling
+// in default component counts. Each step is checked against the dimension left by the steps
+// before it. Throws on unknown transforms or invalid component counts.
+export const resolveTransformSteps = (steps, dimension) => steps.map(step => {
+  const transform = getEmbeddingTransform(step.id);
+  if (!transform.hasComponents) return { id: transform.id };
+  const components = step.components === undefined ? transform.defaultComponents(dimension) : step.components;
+  const minComponents = transform.minComponents ?? 1;
+  const maxComponents = transform.maxComponents ? transform.maxComponents(dimension) : Math.min(MAX_COMPONENTS, dimension - 1);
+  if (!Number.isInteger(components) || components < minComponents || components > maxComponents) {
+    throw new Error(`${transform.label} needs a whole number of components between ${minComponents} and ${maxComponents}`);
+  }
+  if (transform.maxComponents) dimension = components;
+  return { id: transform.id, components };
+});
+
+// Apply the steps in order to a copy of the matrix, fitting each step on the output of the
+// previous ones. `onFit(index)` is called before each step is fitted and
+// `onStep(index, matrix, summary)` after it is applied, with the matrix as transformed so far
+// (its data is reused by the next step). Returns the final matrix.
+export const transformEmbeddings = (matrix, steps, { seed = DEFAULT_SEED, onFit, onStep } = {}) => {
+  const resolved = resolveTransformSteps(steps, matrix.dimension);
+  let transformed = { ...matrix, data: Float32Array.from(matrix.data) };
+  resolved.forEach((step, index) => {
+    if (onFit) onFit(index);
+    const random = createRandom(deriveSeed(seed, 'transform', matrix.name, index, step.id));
+    const { apply, summary, dimension = transformed.dimension } = getEmbeddingTransform(step.id).fit(transformed, step, random);
+    for (let offset = 0; offset < transformed.data.length; offset += transformed.dimension) apply(transformed.data, offset);
+    if (dimension < transformed.dimension) {
+      // Keep the leading `dimension` values of every row
+      const data = new Float32Array(transformed.rows * dimension);
+      for (let i = 0; i < transformed.rows; i++) {
+        data.set(transformed.data.subarray(i * transformed.dimension, i * transformed.dimension + dimension), i * dimension);
+      }
+      transformed = { ...transformed, dimension, data };
+    }
+    if (onStep) onStep(index, transformed, summary);
+  });
+  return transformed;
+};
+
+// Transform the matrix and sample its distances after every step, with the settings of
+// simulateEmbeddings, so each step's effect can be compared. Pairs are drawn from the same
+// rows at every stage. Returns { stages: [{ id, label, components, summary, statistics,
+// distributions }], labelSplit }, where labels are only split after the last step.
+// `onProgress` gets the simulateEmbeddings progress plus `stage` and `stageCount`, and
+// { stage, stageCount, fitting: true } while a step is being fitted.
+export const simulateTransformedEmbeddings = (matrix, steps, settings = {}, { onProgress } = {}) => {
+  const resolved = resolveTransformSteps(steps, matrix.dimension);
+  const stages = [];
+  let labelSplit = null;
+
+  transformEmbeddings(matrix, resolved, {
+    seed: settings.seed,
+    onFit: onProgress && ((index) => onProgress({ stage: index, stageCount: resolved.length, fitting: true })),
+    onStep: (index, transformed, summary) => {
+      const last = index === resolved.length - 1;
+      const result = simulateEmbeddings(last ? transformed : { ...transformed, labels: null }, settings, {
+        onProgress: onProgress && ((partial) => onProgress({ ...partial, stage: index, stageCount: resolved.length }))
+      });
+      const { id, components } = resolved[index];
+      stages.push({
+        id,
+        label: getEmbeddingTransform(id).label,
+        components,
+        summary,
+        statistics: result.statistics,
+        distributions: result.distributions
+      });
+      if (last && result.labelSplit) labelSplit = result.labelSplit;
+    }
+  });
+  return { stages, labelSplit };
+};
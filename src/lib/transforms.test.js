@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { createEmbeddingMatrix } from './embeddings.js';
+import { createRandom } from './random.js';
+import { normalRandom } from './sampling.js';
+import { MAX_COMPONENTS, resolveTransformSteps, transformEmbeddings } from './transforms.js';
+
+// Rows of independent normal coordinates with the given standard deviations, rotated by a
+// random orthonormal basis and shifted off the origin
+const anisotropicMatrix = (rows, scales, seed = 1) => {
+  const random = createRandom(seed);
+  const dimension = scales.length;
+  const basis = Array.from({ length: dimension }, () => Array.from({ length: dimension }, () => normalRandom(random)));
+  basis.forEach((vector, j) => {
+    for (let i = 0; i < j; i++) {
+      const projection = vector.reduce((sum, value, k) => sum + value * basis[i][k], 0);
+      vector.forEach((_, k) => { vector[k] -= projection * basis[i][k]; });
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    vector.forEach((_, k) => { vector[k] /= norm; });
+  });
+  const data = new Float32Array(rows * dimension);
+  for (let i = 0; i < rows; i++) {
+    scales.forEach((scale, j) => {
+      const coordinate = scale * normalRandom(random);
+      for (let k = 0; k < dimension; k++) data[i * dimension + k] += coordinate * basis[j][k];
+    });
+    for (let k = 0; k < dimension; k++) data[i * dimension + k] += 3;
+  }
+  return createEmbeddingMatrix('anisotropic', data, rows, dimension);
+};
+
+// Sample covariance of the rows (dividing by the row count)
+const covariance = ({ rows, dimension, data }) => {
+  const mean = new Float64Array(dimension);
+  for (let i = 0; i < rows; i++) for (let k = 0; k < dimension; k++) mean[k] += data[i * dimension + k] / rows;
+  const result = Array.from({ length: dimension }, () => new Float64Array(dimension));
+  for (let i = 0; i < rows; i++) {
+    for (let a = 0; a < dimension; a++) {
+      for (let b = 0; b < dimension; b++) {
+        result[a][b] += (data[i * dimension + a] - mean[a]) * (data[i * dimension + b] - mean[b]) / rows;
+      }
+    }
+  }
+  return result;
+};
+
+const expectIdentity = (matrix) => {
+  matrix.forEach((row, a) => row.forEach((value, b) => expect(value).toBeCloseTo(a === b ? 1 : 0, 3)));
+};
+
+describe('whiten', () => {
+  it('gives an identity covariance at full rank', () => {
+    // Pairs of equal scales, whose directions are only determined up to a rotation
+    const matrix = anisotropicMatrix(1500, [8, 8, 5, 3, 3, 2, 1, 1, 0.5, 0.5, 0.4, 0.3]);
+    const whitened = transformEmbeddings(matrix, [{ id: 'whiten', components: 12 }]);
+    expect(whitened.dimension).toBe(12);
+    expect(whitened.data).toHaveLength(1500 * 12);
+    expectIdentity(covariance(whitened));
+  });
+
+  it('keeps the stated number of components with an identity covariance', () => {
+    const scales = Array.from({ length: 48 }, (_, k) => 10 / (1 + k));
+    const matrix = anisotropicMatrix(2000, scales, 2);
+    const stages = [];
+    const whitened = transformEmbeddings(matrix, [{ id: 'whiten', components: 8 }], {
+      onStep: (index, transformed, summary) => stages.push(summary)
+    });
+    expect(whitened.dimension).toBe(8);
+    expectIdentity(covariance(whitened));
+    expect(stages[0]).toMatchObject({ components: 8, dimension: 8 });
+    // The top 8 of 48 scales 10 / (1 + k) hold about 84% of the variance
+    expect(stages[0].explainedVariance).toBeGreaterThan(0.8);
+  });
+
+  it('is followed by steps on the whitened dimension', () => {
+    const matrix = anisotropicMatrix(500, [4, 3, 2, 1, 1, 1]);
+    const normalized = transformEmbeddings(matrix, [{ id: 'whiten', components: 3 }, { id: 'l2' }]);
+    expect(normalized.dimension).toBe(3);
+    for (let i = 0; i < normalized.rows; i++) {
+      const row = normalized.data.subarray(i * 3, i * 3 + 3);
+      expect(Math.hypot(...row)).toBeCloseTo(1, 5);
+    }
+  });
+});
+
+describe('resolveTransformSteps', () => {
+  it('fills in default components', () => {
+    expect(resolveTransformSteps([{ id: 'center' }, { id: 'abtt' }, { id: 'whiten' }], 768)).toEqual([
+      { id: 'center' },
+      { id: 'abtt', components: 8 },
+      { id: 'whiten', components: 16 }
+    ]);
+  });
+
+  it('allows whitening at full rank but other steps only below the dimension', () => {
+    expect(resolveTransformSteps([{ id: 'whiten', components: 12 }], 12)).toEqual([{ id: 'whiten', components: 12 }]);
+    expect(() => resolveTransformSteps([{ id: 'flatten', components: 12 }], 12)).toThrow('between 1 and 11');
+    expect(() => resolveTransformSteps([{ id: 'whiten', components: 1 }], 12)).toThrow('between 2 and 12');
+    expect(() => resolveTransformSteps([{ id: 'whiten', components: MAX_COMPONENTS + 1 }], 768)).toThrow(`between 2 and ${MAX_COMPONENTS}`);
+  });
+
+  it('checks later steps against the whitened dimension', () => {
+    expect(() => resolveTransformSteps([{ id: 'whiten', components: 4 }, { id: 'abtt', components: 4 }], 768)).toThrow('between 1 and 3');
+  });
+
+  it('rejects unknown transforms', () => {
+    expect(() => resolveTransformSteps([{ id: 'zca' }], 12)).toThrow('Unknown transform "zca"');
+  });
+});
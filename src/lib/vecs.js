@@ -0,0 +1,98 @@
+// Streaming readers for the ANN-benchmark vector formats (SIFT/GIST style): every record is
+// a little-endian int32 dimension followed by that many components, float32 (.fvecs),
+// int32 (.ivecs) or uint8 (.bvecs). Files are read in chunks, so base sets of many GB can be
+// scanned without holding them in memory.
+
+export const VECS_FORMATS = {
+  fvecs: { size: 4, read: (view, offset) => view.getFloat32(offset, true) },
+  ivecs: { size: 4, read: (view, offset) => view.getInt32(offset, true) },
+  bvecs: { size: 1, read: (view, offset) => view.getUint8(offset) }
+};
+
+// Bytes read from the file at a time
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Largest record dimension accepted; a larger header means a corrupt or mis-typed file, which
+// must fail before the reader buffers the rest of it looking for the end of the record
+export const MAX_VECS_DIMENSION = 1 << 20;
+
+// Format of a file from its extension, or null when it is not a vecs file
+export const vecsFormatOf = (fileName) => {
+  const match = /\.(fvecs|ivecs|bvecs)$/i.exec(fileName);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Call `onRecord(index, values)` for every record of a vecs Blob, in file order. `values` is a
+// Float64Array reused between records, so copy what you keep. `onProgress(bytesRead, total)`
+// is called after each chunk. Throws, with the byte offset, on a record header whose
+// dimension is not positive, above MAX_VECS_DIMENSION or longer than the rest of the file.
+export const readVecs = async (blob, format, onRecord, { onProgress } = {}) => {
+  const { size, read } = VECS_FORMATS[format];
+  let pending = new Uint8Array(0);
+  let values = new Float64Array(0);
+  let index = 0;
+
+  for (let start = 0; start < blob.size; start += CHUNK_SIZE) {
+    const chunk = new Uint8Array(await blob.slice(start, start + CHUNK_SIZE).arrayBuffer());
+    // File position of bytes[0]
+    const base = start - pending.length;
+    const bytes = new Uint8Array(pending.length + chunk.length);
+    bytes.set(pending);
+    bytes.set(chunk, pending.length);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    while (offset + 4 <= bytes.length) {
+      const dimension = view.getInt32(offset, true);
+      const recordSize = 4 + dimension * size;
+      if (dimension <= 0 || dimension > MAX_VECS_DIMENSION || base + offset + recordSize > blob.size) {
+        const reason = dimension <= 0 || dimension > MAX_VECS_DIMENSION
+          ? `dimension must be between 1 and ${MAX_VECS_DIMENSION}`
+          : `the record needs ${recordSize} bytes but only ${blob.size - base - offset} are left`;
+        throw new Error(`Record ${index} at byte ${base + offset} declares dimension ${dimension}; ${reason}. Is this really a .${format} file?`);
+      }
+      if (offset + recordSize > bytes.length) break;
+      if (values.length !== dimension) values = new Float64Array(dimension);
+      for (let k = 0; k < dimension; k++) values[k] = read(view, offset + 4 + k * size);
+      onRecord(index++, values);
+      offset += recordSize;
+    }
+    pending = bytes.slice(offset);
+    if (onProgress) onProgress(Math.min(start + CHUNK_SIZE, blob.size), blob.size);
+  }
+  if (pending.length > 0) throw new Error(`The file ends with a truncated record after ${index} vectors`);
+  return index;
+};
+
+// Read a vecs Blob keeping a uniform random sample of at most `limit` records (reservoir
+// sampling), plus every record whose index is in `keep`. Returns { dimension, count, data,
+// indices, kept } where `data` holds the sampled rows back to back (Float32Array),
+// `indices` their positions in the file and `kept` maps each kept index to its values.
+export const sampleVecs = async (blob, format, { limit, random, keep = new Set(), onProgress }) => {
+  let dimension = 0;
+  let data = null;
+  const indices = [];
+  const kept = new Map();
+
+  const count = await readVecs(blob, format, (index, values) => {
+    if (data === null) {
+      dimension = values.length;
+      data = new Float32Array(limit * dimension);
+    } else if (values.length !== dimension) {
+      throw new Error(`Record ${index} has dimension ${values.length}, expected ${dimension}`);
+    }
+    if (keep.has(index)) kept.set(index, Float32Array.from(values));
+
+    let slot = index;
+    if (index >= limit) {
+      slot = Math.floor(random() * (index + 1));
+      if (slot >= limit) return;
+    }
+    data.set(values, slot * dimension);
+    indices[slot] = index;
+  }, { onProgress });
+
+  if (count === 0) throw new Error('The file contains no vectors');
+  const rows = Math.min(count, limit);
+  return { dimension, count, data: data.subarray(0, rows * dimension), indices, kept };
+};
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom } from './random.js';
+import { MAX_VECS_DIMENSION, readVecs, sampleVecs } from './vecs.js';
+
+// .fvecs bytes of the given rows
+const fvecs = (rows) => {
+  const view = new DataView(new ArrayBuffer(rows.reduce((size, row) => size + 4 + 4 * row.length, 0)));
+  let offset = 0;
+  rows.forEach(row => {
+    view.setInt32(offset, row.length, true);
+    row.forEach((value, k) => view.setFloat32(offset + 4 + 4 * k, value, true));
+    offset += 4 + 4 * row.length;
+  });
+  return new Uint8Array(view.buffer);
+};
+
+// Blob-like file of `size` bytes starting with `head`, counting the bytes handed out
+const largeFile = (head, size) => {
+  const file = {
+    size,
+    bytesRead: 0,
+    slice: (start, end) => ({
+      arrayBuffer: async () => {
+        const bytes = new Uint8Array(Math.min(end, size) - start);
+        if (start < head.length) bytes.set(head.subarray(start, Math.min(head.length, end)));
+        file.bytesRead += bytes.length;
+        return bytes.buffer;
+      }
+    })
+  };
+  return file;
+};
+
+describe('readVecs', () => {
+  it('reads every record in order', async () => {
+    const records = [];
+    const count = await readVecs(new Blob([fvecs([[1, 2], [3, 4], [5, 6]])]), 'fvecs', (index, values) => records.push([index, ...values]));
+    expect(count).toBe(3);
+    expect(records).toEqual([[0, 1, 2], [1, 3, 4], [2, 5, 6]]);
+  });
+
+  it('reports a truncated last record', async () => {
+    const bytes = fvecs([[1, 2], [3, 4]]);
+    await expect(readVecs(new Blob([bytes.subarray(0, bytes.length - 2)]), 'fvecs', () => {})).rejects.toThrow(/Record 1 at byte 12/);
+  });
+
+  it.each([0, -5, MAX_VECS_DIMENSION + 1])('rejects a header declaring dimension %i at its byte offset', async (dimension) => {
+    const bytes = fvecs([[1, 2], [3, 4]]);
+    new DataView(bytes.buffer).setInt32(12, dimension, true);
+    await expect(readVecs(new Blob([bytes]), 'fvecs', () => {})).rejects.toThrow(`Record 1 at byte 12 declares dimension ${dimension}`);
+  });
+
+  it('fails on an oversized header without reading the rest of the file', async () => {
+    const head = fvecs([[1, 2]]);
+    const header = new Uint8Array(4);
+    new DataView(header.buffer).setInt32(0, 1 << 22, true);
+    const file = largeFile(new Uint8Array([...head, ...header]), 64 * 1024 * 1024);
+    await expect(readVecs(file, 'fvecs', () => {})).rejects.toThrow(/Record 1 at byte 12/);
+    expect(file.bytesRead).toBeLessThanOrEqual(8 * 1024 * 1024);
+  });
+});
+
+describe('sampleVecs', () => {
+  it('keeps a sample of at most `limit` rows plus the requested indices', async () => {
+    const rows = Array.from({ length: 50 }, (_, i) => [i, -i]);
+    const result = await sampleVecs(new Blob([fvecs(rows)]), 'fvecs', { limit: 10, random: createRandom(2), keep: new Set([42]) });
+    expect(result.count).toBe(50);
+    expect(result.data.length).toBe(20);
+    expect(Array.from(result.kept.get(42))).toEqual([42, -42]);
+    result.indices.forEach((index, slot) => expect(result.data[2 * slot]).toBe(index));
+  });
+});
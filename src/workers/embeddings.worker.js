@@ -0,0 +1,106 @@
+import { importEmbeddingFile } from '../lib/importers.js';
+import { simulateEmbeddings } from '../lib/embeddings.js';
+import { simulateTransformedEmbeddings } from '../lib/transforms.js';
+import { loadAnnBenchmark, sampleAnnBenchmark } from '../lib/annBenchmark.js';
+import { vecsFormatOf } from '../lib/vecs.js';
+
+// Parses imported embedding files and samples pairs from them, off the main thread.
+// Matrices stay in the worker, keyed by the caller's id, so they can be re-sampled with new
+// settings without reading the file again.
+//
+// Incoming: { type: 'import', id, file, settings }, { type: 'sample', id, settings, transforms },
+// { type: 'remove', id }
+// Outgoing: 'reading' while a large file is streamed, 'loaded' once it is parsed (with any
+// skipped rows), 'progress' while sampling, then 'result'; 'error' if anything fails.
+// With a non-empty `transforms` pipeline (see transforms.js) the transformed matrix is sampled
+// after every step too, and 'progress' carries the `stage` being fitted or sampled.
+//
+// ANN benchmarks run as { type: 'benchmark', files: { base, queries, groundTruth }, settings }
+// and answer with 'benchmark-progress', then 'benchmark-result' or 'benchmark-error'.
+const matrices = new Map();
+
+// Ids of files still being read; a 'remove' arriving meanwhile takes the id out, and the
+// matrix is dropped once reading finishes
+const importing = new Set();
+
+const sample = (id, settings, transforms = []) => {
+  const matrix = matrices.get(id);
+  const { statistics, distributions, labelSplit } = simulateEmbeddings(matrix, settings, {
+    onProgress: ({ completed, expected }) => {
+      self.postMessage({ type: 'progress', id, completed, expected, stage: null });
+    }
+  });
+  const transformed = transforms.length > 0
+    ? simulateTransformedEmbeddings(matrix, transforms, settings, {
+      onProgress: ({ completed = 0, expected = 1, stage, stageCount, fitting = false }) => {
+        self.postMessage({ type: 'progress', id, completed, expected, stage, stageCount, fitting });
+      }
+    })
+    : null;
+  self.postMessage({ type: 'result', id, statistics, distributions, labelSplit, transformed });
+};
+
+const runBenchmark = async ({ base, queries, groundTruth }, settings) => {
+  const onProgress = ({ phase, fraction }) => self.postMessage({ type: 'benchmark-progress', phase, fraction });
+  const benchmark = await loadAnnBenchmark({
+    base,
+    baseFormat: vecsFormatOf(base.name),
+    queries,
+    queryFormat: queries && vecsFormatOf(queries.name),
+    groundTruth
+  }, { seed: settings.seed, onProgress });
+  const { random, groundTruth: neighbors } = sampleAnnBenchmark(benchmark, settings, { onProgress });
+  self.postMessage({
+    type: 'benchmark-result',
+    dimension: benchmark.dimension,
+    baseCount: benchmark.baseCount,
+    queryCount: benchmark.queryCount,
+    sampledBase: benchmark.base.data.length / benchmark.dimension,
+    random,
+    groundTruth: neighbors
+  });
+};
+
+self.onmessage = async (event) => {
+  const { type, id, file, files, settings, transforms } = event.data;
+
+  if (type === 'benchmark') {
+    try {
+      await runBenchmark(files, settings);
+    } catch (error) {
+      self.postMessage({ type: 'benchmark-error', message: error.message });
+    }
+    return;
+  }
+
+  try {
+    if (type === 'import') {
+      importing.add(id);
+      const { matrix, detail, errors = [], errorCount = 0 } = await importEmbeddingFile(file, {
+        onProgress: (fraction) => self.postMessage({ type: 'reading', id, fraction })
+      });
+      if (!importing.delete(id)) return;
+      matrices.set(id, matrix);
+      self.postMessage({
+        type: 'loaded',
+        id,
+        name: matrix.name,
+        rows: matrix.rows,
+        dimension: matrix.dimension,
+        labelled: matrix.labels !== null,
+        detail,
+        errors,
+        errorCount
+      });
+      sample(id, settings);
+    } else if (type === 'sample' && matrices.has(id)) {
+      sample(id, settings, transforms);
+    } else if (type === 'remove') {
+      importing.delete(id);
+      matrices.delete(id);
+    }
+  } catch (error) {
+    importing.delete(id);
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
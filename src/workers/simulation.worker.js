@@ -0,0 +1,35 @@
+import { simulateDimension } from '../lib/simulation.js';
+
+// Runs the Monte Carlo sampler off the main thread.
+//
+// Incoming: { type: 'run', dimensions, settings }
+// Outgoing: 'progress' while sampling, 'dimension' once per finished dimension, then 'done'.
+// Cancellation is done by terminating the worker, so no cancel message is needed.
+self.onmessage = (event) => {
+  const { type, dimensions, settings } = event.data;
+  if (type !== 'run') return;
+
+  try {
+    for (let dimIndex = 0; dimIndex < dimensions.length; dimIndex++) {
+      const dim = dimensions[dimIndex];
+
+      const { statistics, distributions } = simulateDimension(dim, settings, {
+        onProgress: (partial) => {
+          self.postMessage({
+            type: 'progress',
+            dimension: dim,
+            dimIndex,
+            dimCount: dimensions.length,
+            ...partial
+          });
+        }
+      });
+
+      self.postMessage({ type: 'dimension', dimension: dim, statistics, distributions });
+    }
+
+    self.postMessage({ type: 'done' });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};